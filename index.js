@@ -1 +1,5 @@
-module.exports = require('./src/js/main').default;
+const FunnelGraph = require('./src/js/main').default;
+
+FunnelGraph.FunnelGroup = require('./src/js/group').default;
+
+module.exports = FunnelGraph;
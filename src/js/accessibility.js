@@ -0,0 +1,44 @@
+import { defaultFormatters } from './number';
+import { formatTarget } from './metrics';
+
+const describeStage = (metric, index, formatters = defaultFormatters) => {
+    const label = metric.label || `Stage ${index + 1}`;
+    let description = `${label}: ${formatters.value(metric.value)}`;
+
+    if (index > 0) {
+        description += `, ${formatters.percent(metric.percentageOfPrevious)} of previous stage`;
+    }
+
+    if (typeof metric.target === 'number') {
+        description += `, ${formatTarget(metric, formatters)}`;
+    }
+
+    return description;
+};
+
+const createSummary = (title, metrics, formatters = defaultFormatters) => `${title} with ${metrics.length} `
+    + `${metrics.length === 1 ? 'stage' : 'stages'}. `
+    + `${metrics.map((metric, index) => describeStage(metric, index, formatters)).join('; ')}.`;
+
+/*
+    Stages are navigated like a toolbar: arrows move to the previous or next stage
+    in both directions of the graph, Home and End move to the first and the last stage
+ */
+const getNextFocusIndex = (key, index, size) => {
+    switch (key) {
+    case 'ArrowRight':
+    case 'ArrowDown':
+        return Math.min(size - 1, index + 1);
+    case 'ArrowLeft':
+    case 'ArrowUp':
+        return Math.max(0, index - 1);
+    case 'Home':
+        return 0;
+    case 'End':
+        return size - 1;
+    default:
+        return null;
+    }
+};
+
+export { describeStage, createSummary, getNextFocusIndex };
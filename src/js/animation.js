@@ -0,0 +1,86 @@
+import { roundPoint } from './number';
+
+const easings = {
+    linear: t => t,
+    easeInQuad: t => t * t,
+    easeOutQuad: t => t * (2 - t),
+    easeInOutQuad: t => (t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t),
+    easeInCubic: t => t * t * t,
+    easeOutCubic: t => (t - 1) * (t - 1) * (t - 1) + 1,
+    easeInOutCubic: t => (t < 0.5 ? 4 * t * t * t : (t - 1) * (2 * t - 2) * (2 * t - 2) + 1)
+};
+
+const defaultAnimation = {
+    duration: 400,
+    easing: 'easeInOutCubic'
+};
+
+const getEasing = (easing) => {
+    if (typeof easing === 'function') return easing;
+
+    return easings[easing] || easings[defaultAnimation.easing];
+};
+
+const interpolate = (from, to, progress) => roundPoint(from + (to - from) * progress);
+
+const interpolatePoints = (from, to, progress) => to
+    .map((row, i) => row.map((point, j) => interpolate(from[i][j], point, progress)));
+
+/*
+    Points can only be tweened if both sets have the same shape,
+    so when the number of stages or sub-segments changes, the smaller set is padded:
+    missing columns repeat the last point of a row (the same way the last stage is duplicated)
+    and missing rows repeat the last row, so that added or removed paths collapse onto the edge of the graph.
+ */
+const resizePoints = (points, rows, columns) => {
+    const resized = [];
+
+    for (let i = 0; i < rows; i++) {
+        const row = points[Math.min(i, points.length - 1)];
+        const resizedRow = [];
+
+        for (let j = 0; j < columns; j++) {
+            resizedRow.push(row[Math.min(j, row.length - 1)]);
+        }
+
+        resized.push(resizedRow);
+    }
+
+    return resized;
+};
+
+const animate = ({
+    duration, easing, onFrame, onComplete
+}) => {
+    const ease = getEasing(easing);
+
+    if (typeof window === 'undefined' || typeof window.requestAnimationFrame !== 'function') {
+        onFrame(1);
+        if (onComplete) onComplete();
+        return () => {};
+    }
+
+    let start = null;
+    let frame = null;
+
+    const step = (timestamp) => {
+        if (start === null) start = timestamp;
+
+        const progress = duration > 0 ? Math.min(1, (timestamp - start) / duration) : 1;
+        onFrame(ease(progress));
+
+        if (progress < 1) {
+            frame = window.requestAnimationFrame(step);
+        } else if (onComplete) {
+            onComplete();
+        }
+    };
+
+    frame = window.requestAnimationFrame(step);
+
+    return () => window.cancelAnimationFrame(frame);
+};
+
+export {
+    easings, defaultAnimation, getEasing, interpolate, interpolatePoints, resizePoints, animate
+};
@@ -0,0 +1,101 @@
+const isRecord = item => typeof item === 'object' && item !== null && !(item instanceof Array);
+
+/*
+    Sub-labels of records are collected in the order they first appear,
+    records that do not have a value for a sub-label get 0
+ */
+const normalizeRecords = (records) => {
+    const subLabels = [];
+
+    records.forEach((record) => {
+        if (isRecord(record.values)) {
+            Object.keys(record.values).forEach((subLabel) => {
+                if (subLabels.indexOf(subLabel) === -1) subLabels.push(subLabel);
+            });
+        }
+    });
+
+    const is2d = records.some(record => typeof record.values !== 'undefined');
+    const data = {
+        labels: records.map(record => (typeof record.label === 'undefined' ? '' : record.label)),
+        values: records.map((record) => {
+            if (!is2d) return record.value;
+            if (record.values instanceof Array) return record.values;
+            if (!isRecord(record.values)) return subLabels.map(() => 0);
+
+            return subLabels.map(subLabel => (typeof record.values[subLabel] === 'undefined'
+                ? 0
+                : record.values[subLabel]));
+        })
+    };
+
+    if (subLabels.length) {
+        data.subLabels = subLabels;
+    }
+
+    if (records.some(record => typeof record.target !== 'undefined')) {
+        data.targets = {
+            values: records.map(record => (typeof record.target === 'undefined' ? null : record.target))
+        };
+    }
+
+    return data;
+};
+
+/*
+    Data can be passed as:
+    - an object with labels, subLabels, colors and values
+    - an array of values: [12000, 5700, 360]
+    - a two-dimensional array of values: [[2000, 4000], [3000, 1000]]
+    - an array of records: [{ label: 'Impressions', value: 12000 }], a record can have a target as well
+    - an array of records with sub-labels: [{ label: 'Impressions', values: { Direct: 2000, Ads: 4000 } }]
+    All of them are normalized into the object form.
+    The object form can also contain a funnel to compare with: compare: { values, label, style, color },
+    targets of the stages: targets: { values, style },
+    and a timeline of snapshots instead of the values: timeline: [{ date, values }]
+ */
+const sumRow = row => (row instanceof Array && row.every(value => typeof value === 'number')
+    ? row.reduce((sum, value) => sum + value, 0)
+    : row);
+
+/*
+    The compared funnel is drawn as a single shape, so values of two-dimensional stages are summed up
+ */
+const normalizeCompare = (compare) => {
+    const options = compare instanceof Array ? { values: compare } : compare;
+
+    if (!options || !(options.values instanceof Array)) return options;
+
+    return Object.assign({}, options, { values: options.values.map(sumRow) });
+};
+
+const normalizeTargets = targets => (targets instanceof Array ? { values: targets } : targets);
+
+const normalizeData = (data) => {
+    if (data && !(data instanceof Array)
+        && ['compare', 'targets', 'timeline'].some(name => typeof data[name] !== 'undefined')) {
+        const normalized = Object.assign({}, data);
+
+        if (typeof data.compare !== 'undefined') normalized.compare = normalizeCompare(data.compare);
+        if (typeof data.targets !== 'undefined') normalized.targets = normalizeTargets(data.targets);
+
+        // a timeline starts at its first frame
+        if (typeof data.values === 'undefined' && data.timeline instanceof Array && data.timeline.length) {
+            normalized.values = data.timeline[0].values;
+        }
+
+        return normalized;
+    }
+
+    if (!(data instanceof Array)) return data;
+
+    if (data.length && data.every(isRecord)) {
+        return normalizeRecords(data);
+    }
+
+    return { values: data };
+};
+
+export {
+    normalizeData, normalizeRecords, normalizeCompare, normalizeTargets
+};
@@ -0,0 +1,14 @@
+const debounce = (callback, delay) => {
+    let timeout = null;
+
+    const debounced = (...args) => {
+        clearTimeout(timeout);
+        timeout = setTimeout(() => callback(...args), delay);
+    };
+
+    debounced.cancel = () => clearTimeout(timeout);
+
+    return debounced;
+};
+
+export default debounce;
@@ -0,0 +1,72 @@
+const imageTypes = {
+    png: 'image/png',
+    jpeg: 'image/jpeg',
+    jpg: 'image/jpeg',
+    webp: 'image/webp'
+};
+
+const getImageMimeType = (type = 'png') => {
+    const mimeType = imageTypes[String(type).toLowerCase()];
+
+    if (!mimeType) {
+        throw new Error(`Image type must be one of: ${Object.keys(imageTypes).join(', ')}.`);
+    }
+
+    return mimeType;
+};
+
+const svgToDataURL = svg => `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+
+const getFileExtension = filename => (String(filename).match(/\.([a-z0-9]+)$/i) || [])[1] || '';
+
+/*
+    Draws the SVG markup onto a canvas and resolves with a Blob or a data URL of the image
+ */
+const rasterize = (svg, {
+    width, height, scale, mimeType, background, output
+}) => new Promise((resolve, reject) => {
+    const image = new window.Image();
+
+    image.onload = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(width * scale);
+        canvas.height = Math.round(height * scale);
+
+        const context = canvas.getContext('2d');
+
+        if (background) {
+            context.fillStyle = background;
+            context.fillRect(0, 0, canvas.width, canvas.height);
+        }
+
+        context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+        if (output === 'dataURL') {
+            resolve(canvas.toDataURL(mimeType));
+        } else {
+            canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Image could not be created.'))), mimeType);
+        }
+    };
+
+    image.onerror = () => reject(new Error('SVG could not be loaded as an image.'));
+    image.src = svgToDataURL(svg);
+});
+
+const downloadBlob = (blob, filename) => {
+    const url = window.URL.createObjectURL(blob);
+    const link = document.createElement('a');
+
+    link.setAttribute('href', url);
+    link.setAttribute('download', filename);
+    link.style.display = 'none';
+
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    setTimeout(() => window.URL.revokeObjectURL(url), 0);
+};
+
+export {
+    imageTypes, getImageMimeType, svgToDataURL, getFileExtension, rasterize, downloadBlob
+};
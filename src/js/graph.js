@@ -1,3 +1,5 @@
+import { roundPoint } from './number';
+
 const setAttrs = (element, attributes) => {
     if (typeof attributes === 'object') {
         Object.keys(attributes).forEach((key) => {
@@ -26,6 +28,109 @@ const createSVGElement = (element, container, attributes) => {
     return el;
 };
 
+const getFillMode = color => ((typeof color === 'string' || color.length === 1) ? 'solid' : 'gradient');
+
+const getGradientCoordinates = direction => (direction === 'vertical'
+    ? {
+        x1: '0',
+        x2: '0',
+        y1: '0',
+        y2: '1'
+    }
+    : {});
+
+const getGradientStops = (colors) => {
+    const numberOfColors = colors.length;
+    const stops = [];
+
+    for (let i = 0; i < numberOfColors; i++) {
+        stops.push({
+            'stop-color': colors[i],
+            offset: `${Math.round(100 * i / (numberOfColors - 1))}%`
+        });
+    }
+
+    return stops;
+};
+
+// removes the gradient a path is filled with, if it has one
+const removeGradient = (svg, path) => {
+    const fill = path.getAttribute('fill') || '';
+    const gradientName = fill.match(/^url\("?#([^")]+)"?\)$/);
+
+    if (gradientName) {
+        const gradient = svg.querySelector(`[id="${gradientName[1]}"]`);
+        if (gradient) gradient.remove();
+    }
+};
+
+/*
+    Removes a path together with the gradient it is filled with, if it has one
+ */
+const removePath = (svg, path) => {
+    removeGradient(svg, path);
+
+    path.remove();
+};
+
+/*
+    Replaces only the children that differ from the new elements and adds or removes the rest,
+    children that have not changed stay, so that e.g. a focused label keeps the focus
+ */
+const patchChildren = (holder, elements) => {
+    elements.forEach((element, index) => {
+        const child = holder.children[index];
+
+        if (!child) {
+            holder.appendChild(element);
+        } else if (!child.isEqualNode(element)) {
+            holder.replaceChild(element, child);
+        }
+    });
+
+    while (holder.children.length > elements.length) {
+        holder.removeChild(holder.lastElementChild);
+    }
+};
+
+// separators and clip paths are paths too, segments are the ones placed directly in the SVG
+const getSegmentPaths = svg => Array.prototype.filter.call(svg.children, child => child.nodeName === 'path');
+
+/*
+    Every stage is clipped by the bounding box of its outer edges,
+    shortened along the main axis by half of the gap on each side it has a neighbour,
+    and widened across by the padding, so that the stroke of the outer edges is not cut off
+ */
+const getStageClipRects = (mainAxisPoints, crossAxisPoints, {
+    gap = 0, padding = 0, vertical = false
+} = {}) => {
+    const first = crossAxisPoints[0];
+    const last = crossAxisPoints[crossAxisPoints.length - 1];
+    const stagesNum = mainAxisPoints.length - 1;
+    const rects = [];
+
+    for (let i = 0; i < stagesNum; i++) {
+        const mainStart = mainAxisPoints[i] + (i > 0 ? gap / 2 : 0);
+        const mainEnd = mainAxisPoints[i + 1] - (i < stagesNum - 1 ? gap / 2 : 0);
+        const crossStart = Math.min(first[i], first[i + 1]) - padding;
+        const crossEnd = Math.max(last[i], last[i + 1]) + padding;
+        const mainSize = roundPoint(Math.max(0, mainEnd - mainStart));
+        const crossSize = roundPoint(Math.max(0, crossEnd - crossStart));
+
+        rects.push(vertical
+            ? {
+                x: roundPoint(crossStart), y: roundPoint(mainStart), width: crossSize, height: mainSize
+            }
+            : {
+                x: roundPoint(mainStart), y: roundPoint(crossStart), width: mainSize, height: crossSize
+            });
+    }
+
+    return rects;
+};
+
+const getElementIndex = element => Array.prototype.indexOf.call(element.parentNode.children, element);
+
 const generateLegendBackground = (color, direction = 'horizontal') => {
     if (typeof color === 'string') {
         return `background-color: ${color}`;
@@ -46,18 +151,16 @@ const defaultColors = ['#FF4589', '#FF5050',
     '#FFD76F', '#F2C94C',
     '#FF9A9A', '#FFB178'];
 
-const getDefaultColors = (number) => {
-    const colors = [...defaultColors];
+/*
+    Colors are taken from the palette in order, so that the graph looks the same every time it is drawn
+ */
+const getDefaultColors = (number, palette = defaultColors) => {
     const colorSet = [];
 
     for (let i = 0; i < number; i++) {
-        // get a random color
-        const index = Math.abs(Math.round(Math.random() * (colors.length - 1)));
-        // push it to the list
-        colorSet.push(colors[index]);
-        // and remove it, so that it is not chosen again
-        colors.splice(index, 1);
+        colorSet.push(palette[i % palette.length]);
     }
+
     return colorSet;
 };
 
@@ -97,5 +200,7 @@ const areEqual = (value, newValue) => {
 };
 
 export {
-    generateLegendBackground, getDefaultColors, areEqual, createSVGElement, setAttrs, removeAttrs, defaultColors
+    generateLegendBackground, getDefaultColors, areEqual, createSVGElement, setAttrs, removeAttrs, defaultColors,
+    getFillMode, getGradientCoordinates, getGradientStops, removeGradient, removePath, patchChildren, getElementIndex,
+    getSegmentPaths, getStageClipRects
 };
@@ -0,0 +1,293 @@
+/* global HTMLElement */
+import FunnelGraph from './main';
+import { generateLegendBackground } from './graph';
+import { getTheme, getThemeProperties } from './theme';
+import { getPalette, assignColors } from './palette';
+import { normalizeData } from './data';
+import { escapeXML } from './markup';
+
+// options of the group itself, everything else is passed on to every funnel
+const groupOptions = ['container', 'funnels', 'columns'];
+
+/*
+    A grid of funnels drawn on a shared scale, e.g. one per region.
+    Funnels share a legend, in which series are toggled in all of them at once,
+    and hovering a segment highlights the same stage and series in every funnel.
+ */
+class FunnelGroup {
+    constructor(options) {
+        if (!(options.funnels instanceof Array) || options.funnels.length === 0) {
+            throw new Error('Funnels must be a non-empty array.');
+        }
+
+        this.containerSelector = options.container;
+        this.funnels = options.funnels;
+        this.columns = options.columns || Math.min(options.funnels.length, 3);
+        this.options = Object.keys(options)
+            .filter(name => groupOptions.indexOf(name) === -1)
+            .reduce((shared, name) => Object.assign(shared, { [name]: options[name] }), {});
+        this.hiddenSubLabels = [];
+        this.graphs = [];
+        this.container = null;
+        this.element = null;
+        this.domListeners = [];
+    }
+
+    // sub-labels of all funnels, in order of their first appearance
+    getSubLabels() {
+        return this.funnels.reduce((subLabels, funnel) => {
+            const data = normalizeData(funnel.data);
+
+            (data.subLabels || []).forEach((subLabel) => {
+                if (subLabels.indexOf(subLabel) === -1) subLabels.push(subLabel);
+            });
+
+            return subLabels;
+        }, []);
+    }
+
+    /*
+        Colors are assigned over the sub-labels of all funnels,
+        so that a series has the same color in every funnel and in the legend
+     */
+    getColorMap() {
+        const palette = getPalette(this.options.palette || getTheme(this.options.theme).palette);
+        const subLabels = this.getSubLabels();
+        const colors = assignColors(subLabels.map(String), palette);
+
+        return subLabels.reduce((colorMap, subLabel, index) => Object.assign({
+            [subLabel]: colors[index]
+        }, colorMap), Object.assign({}, this.options.colorMap));
+    }
+
+    getMaxValue() {
+        return Math.max(...this.graphs.map(graph => Math.max(...graph.getScaledValues())));
+    }
+
+    createContainer() {
+        if (!this.containerSelector) {
+            throw new Error('Container is missing');
+        }
+
+        if (typeof this.containerSelector === 'string') {
+            this.container = document.querySelector(this.containerSelector);
+            if (!this.container) {
+                throw new Error(`Container cannot be found (selector: ${this.containerSelector}).`);
+            }
+        } else if (this.containerSelector instanceof HTMLElement) {
+            this.container = this.containerSelector;
+        } else {
+            throw new Error('Container must either be a selector string or an HTMLElement.');
+        }
+
+        this.element = document.createElement('div');
+        this.element.setAttribute('class', 'svg-funnel-js-group');
+        this.container.appendChild(this.element);
+
+        // titles and the legend are outside of the funnels, so the group gets the theme as well
+        const properties = getThemeProperties(getTheme(this.options.theme));
+        Object.keys(properties).forEach((name) => {
+            this.element.style.setProperty(name, properties[name]);
+        });
+    }
+
+    draw() {
+        // drawing again replaces the previous group instead of adding a second one
+        if (this.element) this.teardown();
+
+        this.createContainer();
+
+        const grid = document.createElement('div');
+        grid.setAttribute('class', 'svg-funnel-js-group__grid');
+        grid.style.gridTemplateColumns = `repeat(${this.columns}, minmax(0, 1fr))`;
+        this.element.appendChild(grid);
+
+        const colorMap = this.getColorMap();
+
+        this.graphs = this.funnels.map((funnel) => {
+            const item = document.createElement('div');
+            item.setAttribute('class', 'svg-funnel-js-group__item');
+            grid.appendChild(item);
+
+            if (funnel.title) {
+                const title = document.createElement('div');
+                title.setAttribute('class', 'svg-funnel-js-group__title');
+                title.textContent = funnel.title;
+                item.appendChild(title);
+            }
+
+            const container = document.createElement('div');
+            container.setAttribute('class', 'svg-funnel-js-group__funnel');
+            item.appendChild(container);
+
+            const subLabels = normalizeData(funnel.data).subLabels || [];
+
+            return new FunnelGraph(Object.assign({}, this.options, funnel, {
+                container,
+                colorMap,
+                hiddenSeries: this.hiddenSubLabels.filter(subLabel => subLabels.indexOf(subLabel) !== -1)
+            }));
+        });
+
+        const maxValue = this.getMaxValue();
+
+        this.graphs.forEach((graph) => {
+            graph.update({ maxValue });
+            graph.draw();
+            graph.on('segmentHover', context => this.highlight(context));
+            graph.on('segmentLeave', () => this.highlight(null));
+        });
+
+        this.addLegend(colorMap);
+    }
+
+    addLegend(colorMap) {
+        const subLabels = this.getSubLabels();
+
+        if (!subLabels.length) return;
+
+        const legend = document.createElement('div');
+        legend.setAttribute('class', 'svg-funnel-js-group__legend');
+
+        legend.innerHTML = subLabels.map((subLabel, index) => {
+            const classNames = ['svg-funnel-js-group__legendItem', `svg-funnel-js-group__legendItem-${index + 1}`];
+            if (this.hiddenSubLabels.indexOf(subLabel) !== -1) {
+                classNames.push('svg-funnel-js-group__legendItem--hidden');
+            }
+
+            return `<button type="button" class="${classNames.join(' ')}">
+    <span class="svg-funnel-js-group__legendColor"
+        style="${generateLegendBackground(colorMap[subLabel], this.options.gradientDirection)}"></span>
+    <span class="svg-funnel-js-group__legendTitle">${escapeXML(subLabel)}</span>
+</button>`;
+        }).join('');
+
+        const onClick = (event) => {
+            const item = event.target.closest('.svg-funnel-js-group__legendItem');
+            if (!item) return;
+
+            const subLabel = subLabels[Array.prototype.indexOf.call(legend.children, item)];
+            this.setSeriesVisibility(subLabel, this.hiddenSubLabels.indexOf(subLabel) !== -1);
+        };
+
+        legend.addEventListener('click', onClick);
+        this.domListeners.push({ element: legend, type: 'click', handler: onClick });
+        this.element.appendChild(legend);
+    }
+
+    /*
+        Shows or hides a series in every funnel that has it. Like in a single funnel,
+        at least one series of every funnel has to stay visible, otherwise nothing changes.
+     */
+    setSeriesVisibility(subLabel, visible) {
+        const changed = [];
+        const isChanged = this.graphs.every((graph) => {
+            const index = graph.subLabels.indexOf(subLabel);
+            if (index === -1 || graph.isSeriesVisible(index) === visible) return true;
+
+            if (!graph.setSeriesVisibility(index, visible)) return false;
+            changed.push({ graph, index });
+
+            return true;
+        });
+
+        if (!isChanged) {
+            changed.forEach(({ graph, index }) => graph.setSeriesVisibility(index, !visible));
+            return false;
+        }
+
+        this.hiddenSubLabels = visible
+            ? this.hiddenSubLabels.filter(hidden => hidden !== subLabel)
+            : this.hiddenSubLabels.concat(subLabel);
+
+        if (this.element) {
+            const item = this.element.querySelectorAll('.svg-funnel-js-group__legendItem')[
+                this.getSubLabels().indexOf(subLabel)
+            ];
+            if (item) item.classList.toggle('svg-funnel-js-group__legendItem--hidden', !visible);
+        }
+
+        this.rescale();
+
+        return true;
+    }
+
+    // the shared maximum follows the visible values of all funnels
+    rescale() {
+        const maxValue = this.getMaxValue();
+
+        this.graphs.forEach((graph) => {
+            if (graph.maxValue !== maxValue) graph.update({ maxValue });
+        });
+    }
+
+    /*
+        The hovered stage is highlighted in every funnel that has it,
+        and the hovered series in every funnel that has the same sub-label
+     */
+    highlight(context) {
+        this.graphs.forEach((graph) => {
+            if (!context || context.stageIndex >= graph.getDataSize()) {
+                graph.highlight();
+                return;
+            }
+
+            const subLabelIndex = context.subLabel === null ? -1 : graph.subLabels.indexOf(context.subLabel);
+            graph.highlight(context.stageIndex, subLabelIndex === -1 ? null : subLabelIndex);
+        });
+    }
+
+    /*
+        Data of all funnels is updated at once, in the order of the funnels,
+        funnels without new data keep theirs. Before the group is drawn only the funnels change,
+        their graphs are created with the new data by draw()
+     */
+    updateData(data) {
+        const updated = data.map((funnelData, index) => Boolean(funnelData && this.funnels[index]));
+
+        data.forEach((funnelData, index) => {
+            if (updated[index]) this.funnels[index] = Object.assign({}, this.funnels[index], { data: funnelData });
+        });
+
+        if (!this.graphs.length) return;
+
+        // new sub-labels get their colors before the funnels are drawn again
+        const colorMap = this.getColorMap();
+
+        data.forEach((funnelData, index) => {
+            if (!updated[index]) return;
+
+            this.graphs[index].update({ colorMap });
+            this.graphs[index].updateData(funnelData);
+        });
+
+        if (this.element) {
+            const legend = this.element.querySelector('.svg-funnel-js-group__legend');
+            if (legend) legend.remove();
+            this.addLegend(colorMap);
+        }
+
+        this.rescale();
+    }
+
+    teardown() {
+        this.domListeners.forEach(({ element, type, handler }) => {
+            element.removeEventListener(type, handler);
+        });
+        this.domListeners = [];
+
+        this.graphs.forEach(graph => graph.destroy());
+        this.graphs = [];
+
+        if (this.element) {
+            this.element.remove();
+            this.element = null;
+        }
+    }
+
+    destroy() {
+        this.teardown();
+    }
+}
+
+export default FunnelGroup;
@@ -0,0 +1,234 @@
+import { roundPoint } from './number';
+import { approximateTextWidth } from './markup';
+
+const labelPositions = ['overlay', 'inside', 'outside', 'above', 'below'];
+
+const defaultLabelOptions = {
+    position: 'overlay',
+    fontSize: 12,
+    padding: 6,
+    maxLines: 2
+};
+
+const lineHeight = fontSize => fontSize * 1.25;
+
+const truncateText = (text, maxWidth, fontSize) => {
+    const string = String(text);
+
+    if (approximateTextWidth(string, fontSize) <= maxWidth) return string;
+
+    for (let length = string.length - 1; length > 0; length--) {
+        const truncated = `${string.slice(0, length).trim()}…`;
+        if (approximateTextWidth(truncated, fontSize) <= maxWidth) return truncated;
+    }
+
+    return '';
+};
+
+/*
+    Words are put on a line as long as they fit, the last line is truncated
+    when the text does not fit into the maximum number of lines
+ */
+const wrapText = (text, maxWidth, fontSize, maxLines) => {
+    const words = String(text).split(/\s+/).filter(word => word !== '');
+    const lines = [];
+    let line = '';
+
+    words.forEach((word) => {
+        const candidate = line === '' ? word : `${line} ${word}`;
+
+        if (line !== '' && approximateTextWidth(candidate, fontSize) > maxWidth) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = candidate;
+        }
+    });
+
+    if (line !== '') lines.push(line);
+
+    if (lines.length > maxLines) {
+        lines.splice(maxLines - 1, lines.length, lines.slice(maxLines - 1).join(' '));
+        lines[maxLines - 1] = truncateText(`${lines[maxLines - 1]}…`, maxWidth, fontSize);
+    }
+
+    return lines
+        .map(wrappedLine => truncateText(wrappedLine, maxWidth, fontSize))
+        .filter(wrappedLine => wrappedLine !== '');
+};
+
+/*
+    The narrowest extent of a stage along the cross axis,
+    and the free space the funnel leaves before and after it
+ */
+const getStageBox = (mainAxisPoints, crossAxisPoints, index) => {
+    const first = crossAxisPoints[0];
+    const last = crossAxisPoints[crossAxisPoints.length - 1];
+
+    return {
+        main: [mainAxisPoints[index], mainAxisPoints[index + 1]],
+        inside: [Math.max(first[index], first[index + 1]), Math.min(last[index], last[index + 1])],
+        before: Math.min(first[index], first[index + 1]),
+        after: Math.max(last[index], last[index + 1])
+    };
+};
+
+/*
+    Spaces a label can be placed into, in the order they are tried.
+    In a vertical graph "above" and "below" are left and right of the stage.
+ */
+const getCandidateSpaces = (position, box, fullDimension) => {
+    const spaces = {
+        inside: { cross: box.inside, align: 'middle' },
+        above: { cross: [0, box.before], align: 'end' },
+        below: { cross: [box.after, fullDimension], align: 'start' }
+    };
+    const largerSide = box.before >= fullDimension - box.after ? 'above' : 'below';
+    const order = {
+        inside: ['inside', 'above', 'below'],
+        above: ['above', 'below', 'inside'],
+        below: ['below', 'above', 'inside'],
+        outside: [largerSide, largerSide === 'above' ? 'below' : 'above', 'inside']
+    };
+
+    return order[position].map(name => Object.assign({ name, main: box.main }, spaces[name]));
+};
+
+const getAnchorPosition = (range, align, padding) => {
+    if (align === 'start') return range[0] + padding;
+    if (align === 'end') return range[1] - padding;
+
+    return (range[0] + range[1]) / 2;
+};
+
+/*
+    Lines are { text, className, fill, fontWeight, scale, wrap }, wrapped and truncated to the width of the space
+    and stacked into a block that is placed into the space along both axes.
+    Returns the texts with their coordinates, and the bounding box of the block.
+ */
+const placeBlock = (lines, space, { fontSize, padding, maxLines }, vertical, fitLines) => {
+    const xRange = vertical ? space.cross : space.main;
+    const yRange = vertical ? space.main : space.cross;
+    const xAlign = vertical ? space.align : 'middle';
+    const yAlign = vertical ? 'middle' : space.align;
+    const width = xRange[1] - xRange[0] - 2 * padding;
+    const height = yRange[1] - yRange[0] - 2 * padding;
+
+    if (width < fontSize * 2 || height <= 0) return null;
+
+    let texts = [];
+    lines.forEach((line) => {
+        const size = fontSize * (line.scale || 1);
+        const wrapped = line.wrap
+            ? wrapText(line.text, width, size, maxLines)
+            : [truncateText(line.text, width, size)].filter(text => text !== '');
+
+        wrapped.forEach((text) => {
+            texts.push({
+                text, className: line.className, fill: line.fill, fontWeight: line.fontWeight, fontSize: size
+            });
+        });
+    });
+
+    const getHeight = () => texts.reduce((sum, text) => sum + lineHeight(text.fontSize), 0);
+
+    if (fitLines) {
+        // the least important lines are left out, until the rest fits
+        while (texts.length && getHeight() > height) texts.pop();
+    }
+
+    const blockHeight = getHeight();
+    if (!texts.length || blockHeight > height) return null;
+
+    const blockWidth = Math.max.apply(null, texts.map(text => approximateTextWidth(text.text, text.fontSize)));
+    const x = getAnchorPosition(xRange, xAlign, padding);
+    let y = getAnchorPosition(yRange, yAlign, padding);
+
+    if (yAlign === 'middle') y -= blockHeight / 2;
+    if (yAlign === 'end') y -= blockHeight;
+
+    const top = y;
+    texts = texts.map((text) => {
+        const lineTop = y;
+        y += lineHeight(text.fontSize);
+
+        return Object.assign({}, text, {
+            x: roundPoint(x),
+            // the baseline sits a fifth of the line above its bottom, which leaves room for descenders
+            y: roundPoint(lineTop + lineHeight(text.fontSize) * 0.8),
+            anchor: xAlign
+        });
+    });
+
+    let left = x - blockWidth / 2;
+    if (xAlign === 'start') left = x;
+    if (xAlign === 'end') left = x - blockWidth;
+
+    return {
+        position: space.name,
+        texts,
+        rect: {
+            x: left, y: top, width: blockWidth, height: blockHeight
+        }
+    };
+};
+
+/*
+    The first space the whole label fits into is used,
+    when there is none, the first space that fits at least some of its lines
+ */
+const layoutStageLabel = (lines, box, options) => {
+    const spaces = getCandidateSpaces(options.position, box, options.fullDimension);
+
+    for (let i = 0; i < spaces.length; i++) {
+        const block = placeBlock(lines, spaces[i], options, options.vertical, false);
+        if (block) return block;
+    }
+
+    for (let i = 0; i < spaces.length; i++) {
+        const block = placeBlock(lines, spaces[i], options, options.vertical, true);
+        if (block) return block;
+    }
+
+    return { position: null, texts: [], rect: null };
+};
+
+const rectsOverlap = (a, b) => a.x < b.x + b.width && b.x < a.x + a.width
+    && a.y < b.y + b.height && b.y < a.y + a.height;
+
+/*
+    A segment gets a label only if it is thick enough for it,
+    and the label does not collide with any of the stage labels
+ */
+const layoutSegmentLabel = (line, mainRange, crossRange, occupied, options) => {
+    const block = placeBlock([line], {
+        name: 'segment', main: mainRange, cross: crossRange, align: 'middle'
+    }, Object.assign({}, options, { padding: 2 }), options.vertical, false);
+
+    if (!block || occupied.some(rect => rect && rectsOverlap(rect, block.rect))) return null;
+
+    return block;
+};
+
+const getTextAttributes = (text) => {
+    const attributes = {
+        class: text.className,
+        x: text.x,
+        y: text.y,
+        'text-anchor': text.anchor,
+        'font-size': text.fontSize,
+        'font-weight': text.fontWeight,
+        fill: text.fill
+    };
+
+    Object.keys(attributes).forEach((key) => {
+        if (typeof attributes[key] === 'undefined') delete attributes[key];
+    });
+
+    return attributes;
+};
+
+export {
+    labelPositions, defaultLabelOptions, truncateText, wrapText, getStageBox, layoutStageLabel,
+    layoutSegmentLabel, rectsOverlap, getTextAttributes
+};
@@ -1,11 +1,57 @@
 /* eslint-disable no-trailing-spaces */
-/* global HTMLElement */
-import { roundPoint, formatNumber } from './number';
-import { createPath, createVerticalPath } from './path';
+/* global HTMLElement, ResizeObserver */
+import { roundPoint, createFormatters } from './number';
 import {
-    generateLegendBackground, getDefaultColors, createSVGElement, setAttrs, removeAttrs
+    createShapePath, registerShape, unregisterShape, getShape, defaultShape, defaultCurveTension, createTargetPath
+} from './path';
+import {
+    generateLegendBackground, getDefaultColors, createSVGElement, setAttrs, removeAttrs,
+    getFillMode, getGradientCoordinates, getGradientStops, removeGradient, removePath, patchChildren,
+    getElementIndex, areEqual, getSegmentPaths, getStageClipRects
 } from './graph';
+import {
+    SVG_NAMESPACE, escapeXML, createSVGString, approximateTextWidth
+} from './markup';
+import {
+    defaultAnimation, interpolatePoints, resizePoints, animate
+} from './animation';
+import {
+    percentModes, createMetrics, formatDropOff, createDeltas, formatDelta, createTargets, formatTarget
+} from './metrics';
+import { describeStage, createSummary, getNextFocusIndex } from './accessibility';
+import { createTooltipContent, getTooltipPosition } from './tooltip';
 import generateRandomIdString from './random';
+import debounce from './debounce';
+import { normalizeData } from './data';
+import { getTheme, getThemeProperties } from './theme';
+import { getPalette, assignColors } from './palette';
+import {
+    getScale, getMinRatio, getScaledRatio, getScaleNote
+} from './scale';
+import {
+    defaultPlayback, getFrames, isFrameIndex, getNextFrameIndex
+} from './timeline';
+import {
+    labelPositions, defaultLabelOptions, getStageBox, layoutStageLabel, layoutSegmentLabel, getTextAttributes,
+    rectsOverlap
+} from './labels';
+import {
+    ValidationError, isFatalError, inspectData, validateData
+} from './validation';
+import {
+    getImageMimeType, getFileExtension, rasterize, downloadBlob
+} from './export';
+
+// font sizes of the HTML labels in the default theme, other lines are 12px
+const overlayFontSizes = {
+    label__value: 24,
+    label__percentage: 16
+};
+
+// elements drawn in front of the segments
+const overlaySelector = ['separators', 'segmentLabels', 'svgLabels', 'scaleNote']
+    .map(name => `.svg-funnel-js__${name}`)
+    .join(', ');
 
 class FunnelGraph {
     constructor(options) {
@@ -14,16 +60,60 @@ class FunnelGraph {
             ? 'vertical'
             : 'horizontal';
         this.direction = (options.direction && options.direction === 'vertical') ? 'vertical' : 'horizontal';
-        this.labels = FunnelGraph.getLabels(options);
-        this.subLabels = FunnelGraph.getSubLabels(options);
-        this.values = FunnelGraph.getValues(options);
+        this.validation = options.validation === 'lenient' ? 'lenient' : 'strict';
+        this.onError = typeof options.onError === 'function' ? options.onError : null;
+        const checkedOptions = Object.assign({}, options, { data: this.checkData(normalizeData(options.data)) });
+        this.labels = FunnelGraph.getLabels(checkedOptions);
+        this.subLabels = FunnelGraph.getSubLabels(checkedOptions);
+        this.values = FunnelGraph.getValues(checkedOptions);
+        this.hiddenSeries = FunnelGraph.getHiddenSeries(checkedOptions);
+        this.compare = FunnelGraph.getCompare(checkedOptions);
+        this.targets = FunnelGraph.getTargets(checkedOptions);
+        this.frameIndex = 0;
+        this.playback = FunnelGraph.getPlayback(options);
+        this.playing = false;
+        this.playTimer = null;
+        this.layout = FunnelGraph.getLayout(options);
+        this.scale = FunnelGraph.getScale(options);
+        this.minStageSize = FunnelGraph.getLength(options, 'minStageSize');
+        this.maxValue = FunnelGraph.getMaxValueOption(options);
+        this.checkLayout();
+        this.timeline = this.checkFrames(FunnelGraph.getTimeline(checkedOptions), checkedOptions.data);
+        this.percentMode = FunnelGraph.getPercentMode(options);
         this.percentages = this.createPercentages();
-        this.colors = options.data.colors || getDefaultColors(this.is2d() ? this.getSubDataSize() : 2);
+        this.theme = getTheme(options.theme);
+        this.palette = FunnelGraph.getPalette(options);
+        this.colorMap = options.colorMap || {};
+        this.dataColors = checkedOptions.data.colors || null;
+        this.colors = this.getColors();
         this.displayPercent = options.displayPercent || false;
+        this.displayDropOff = options.displayDropOff || false;
         this.data = options.data;
         this.height = options.height;
         this.width = options.width;
+        this.responsive = FunnelGraph.getResponsive(options);
+        this.resizeObserver = null;
         this.subLabelValue = options.subLabelValue || 'percent';
+        this.labelOptions = FunnelGraph.getLabelOptions(options);
+        this.formatters = createFormatters(options.format);
+        this.title = options.title || 'Funnel graph';
+        this.description = options.description || null;
+        this.shape = FunnelGraph.getShape(options);
+        this.curveTension = FunnelGraph.getCurveTension(options);
+        this.stageGap = FunnelGraph.getLength(options, 'stageGap');
+        this.cornerRadius = FunnelGraph.getLength(options, 'cornerRadius');
+        this.stroke = FunnelGraph.getStroke(options);
+        this.separators = FunnelGraph.getSeparators(options);
+        this.clipPathId = generateRandomIdString('funnelClip-');
+        // frames of a timeline morph into each other, unless the animation is turned off
+        this.animation = FunnelGraph.getAnimation(this.timeline && typeof options.animation === 'undefined'
+            ? Object.assign({}, options, { animation: true })
+            : options);
+        this.drawnPoints = null;
+        this.cancelAnimation = null;
+        this.tooltip = FunnelGraph.getTooltip(options);
+        this.domListeners = [];
+        this.eventHandlers = {};
     }
 
     /**
@@ -62,7 +152,96 @@ class FunnelGraph {
         return points;
     }
 
+    /*
+        The value the size of the graph is relative to,
+        the compared funnel shares it with the main funnel, so that both are drawn on the same scale
+     */
+    getMaxValue() {
+        const max = Math.max(...this.getScaledValues());
+
+        // graphs that share a scale are drawn against the largest value of all of them
+        return this.maxValue === null ? max : Math.max(max, this.maxValue);
+    }
+
+    static getMaxValueOption(options) {
+        if (typeof options.maxValue === 'undefined' || options.maxValue === null) return null;
+
+        if (typeof options.maxValue !== 'number' || !Number.isFinite(options.maxValue) || options.maxValue < 0) {
+            throw new Error('maxValue must be a number that is not negative.');
+        }
+
+        return options.maxValue;
+    }
+
+    // values that are drawn to the scale of the graph
+    getScaledValues() {
+        // sides of a mirrored funnel are drawn from the center line, so they are scaled by their own values
+        const values = this.isMirrored() ? [].concat(...this.getVisibleValues2d()) : this.getStageValues();
+
+        const compareValues = this.compare ? this.compare.values : [];
+
+        return values.concat(compareValues, this.getDrawnTargets().map(({ target }) => target));
+    }
+
+    /*
+        Ratio of the value to the max on the scale of the graph,
+        "available" is the size in pixels the ratio is taken of, minStageSize is relative to it
+     */
+    getScaledRatio(value, max, available) {
+        return getScaledRatio(value, max, this.scale, getMinRatio(this.minStageSize, available));
+    }
+
+    getScaleNote() {
+        const max = this.getMaxValue();
+        const available = this.isMirrored() ? this.getFullDimension() / 2 : this.getFullDimension();
+        const isFloored = this.minStageSize > 0 && this.getScaledValues().some(value => (
+            this.getScaledRatio(value, max, available) !== getScaledRatio(value, max, this.scale)
+        ));
+
+        return getScaleNote(this.scale, isFloored);
+    }
+
+    /*
+        In a mirrored funnel the first series grows from the center line towards the start of the cross axis
+        and the second one towards its end, so there are only three lines: the outer edges and the center line
+     */
+    getMirroredCrossAxisPoints() {
+        const center = this.getFullDimension() / 2;
+        const max = this.getMaxValue();
+        const values = this.getVisibleValues2d();
+
+        // duplicate last value
+        values.push([...values].pop());
+
+        return [
+            values.map(([start]) => roundPoint(center - this.getScaledRatio(start, max, center) * center)),
+            values.map(() => center),
+            values.map(([, end]) => roundPoint(center + this.getScaledRatio(end, max, center) * center))
+        ];
+    }
+
+    getDrawnTargets() {
+        if (!this.targets) return [];
+
+        return this.getMetrics()
+            .map(({ target, targetStatus }, index) => ({ index, target, status: targetStatus }))
+            .filter(({ target }) => target !== null);
+    }
+
+    getCompareCrossAxisPoints() {
+        const fullDimension = this.getFullDimension();
+        const max = this.getMaxValue();
+        const values = this.compare.values.concat([...this.compare.values].pop());
+        const points = values.map(value => roundPoint(
+            (1 - this.getScaledRatio(value, max, fullDimension)) * fullDimension / 2
+        ));
+
+        return [points, points.map(point => fullDimension - point)];
+    }
+
     getCrossAxisPoints() {
+        if (this.isMirrored()) return this.getMirroredCrossAxisPoints();
+
         const points = [];
         const fullDimension = this.getFullDimension();
         // get half of the graph container height or width, since funnel shape is symmetric
@@ -70,12 +249,14 @@ class FunnelGraph {
         const dimension = fullDimension / 2;
         if (this.is2d()) {
             const totalValues = this.getValues2d();
-            const max = Math.max(...totalValues);
+            const max = this.getMaxValue();
 
             // duplicate last value
             totalValues.push([...totalValues].pop());
             // get points for path "A"
-            points.push(totalValues.map(value => roundPoint((max - value) / max * dimension)));
+            points.push(totalValues.map(value => roundPoint(
+                (1 - this.getScaledRatio(value, max, fullDimension)) * dimension
+            )));
             // percentages with duplicated last value
             const percentagesFull = this.getPercentages2d();
             const pointsOfFirstPath = points[0];
@@ -101,12 +282,14 @@ class FunnelGraph {
         } else {
             // As you can see on the visualization above points #2 and #3 have the same cross axis coordinate
             // so we duplicate the last value
-            const max = Math.max(...this.values);
+            const max = this.getMaxValue();
             const values = [...this.values].concat([...this.values].pop());
             // if the graph is simple (not two-dimensional) then we have only paths "A" and "D"
             // which are symmetric. So we get the points for "A" and then get points for "D" by subtracting "A"
             // points from graph cross dimension length
-            points.push(values.map(value => roundPoint((max - value) / max * dimension)));
+            points.push(values.map(value => roundPoint(
+                (1 - this.getScaledRatio(value, max, fullDimension)) * dimension
+            )));
             points.push(points[0].map(point => fullDimension - point));
         }
 
@@ -133,16 +316,75 @@ class FunnelGraph {
         return this.values[0].length;
     }
 
+    /*
+        A sub-segment gets the color set for its sub-label in colorMap, then the one set in data.colors,
+        and otherwise a color of the palette picked by its sub-label, so colors follow sub-labels across updates
+     */
+    getColors() {
+        const palette = getPalette(this.palette || this.theme.palette);
+
+        if (!this.is2d()) return this.dataColors || getDefaultColors(2, palette);
+
+        const subLabels = this.subLabels || [];
+        const keys = this.values[0].map((value, index) => (
+            typeof subLabels[index] === 'undefined' ? null : String(subLabels[index])
+        ));
+
+        return assignColors(keys, palette).map((color, index) => {
+            if (keys[index] !== null && Object.prototype.hasOwnProperty.call(this.colorMap, keys[index])) {
+                return this.colorMap[keys[index]];
+            }
+
+            return (this.dataColors && this.dataColors[index]) || color;
+        });
+    }
+
+    static getPalette(options) {
+        if (typeof options.palette === 'undefined') return null;
+
+        // resolved here, so that an unknown palette throws right away
+        getPalette(options.palette);
+
+        return options.palette;
+    }
+
     getFullDimension() {
         return this.isVertical() ? this.getWidth() : this.getHeight();
     }
 
+    // every form of data the graph accepts is validated in the object form, like the graph checks it
+    static validate(data) {
+        return validateData(normalizeData(data));
+    }
+
+    /*
+        In strict mode invalid data throws the first ValidationError found.
+        When there is an onError handler, or in lenient mode, the graph is drawn from sanitized data instead
+        and every error is passed to the handler.
+     */
+    checkData(data) {
+        const { errors, data: sanitizedData } = inspectData(data);
+
+        if (errors.length === 0) return data;
+
+        const fatalError = errors.filter(isFatalError)[0];
+        if (fatalError) throw fatalError;
+
+        if (this.onError) {
+            errors.forEach(error => this.onError(error));
+        } else if (this.validation === 'strict') {
+            throw errors[0];
+        }
+
+        return sanitizedData;
+    }
+
     static getSubLabels(options) {
         if (!options.data) {
             throw new Error('Data is missing');
         }
 
-        const { data } = options;
+        const data = normalizeData(options.data);
 
         if (typeof data.subLabels === 'undefined') return [];
 
@@ -154,20 +396,71 @@ class FunnelGraph {
             throw new Error('Data is missing');
         }
 
-        const { data } = options;
+        const data = normalizeData(options.data);
 
         if (typeof data.labels === 'undefined') return [];
 
         return data.labels;
     }
 
+    /*
+        Labels are either laid over the SVG as HTML, or drawn into it as text positioned around the stages
+     */
+    hasSVGLabels() {
+        // labels of a mirrored funnel belong to both of its sides, which the overlay cannot show
+        return this.isMirrored() || this.labelOptions.position !== 'overlay';
+    }
+
     addLabels() {
+        if (this.hasSVGLabels()) {
+            this.addSVGLabels();
+        } else {
+            this.addHTMLLabels();
+        }
+
+        this.addTable();
+
+        if (this.graphContainer && this.container.querySelector('svg')) {
+            this.describeSVG(this.getSVG());
+        }
+    }
+
+    removeLabels() {
+        const labels = this.container.querySelectorAll(
+            '.svg-funnel-js__labels, .svg-funnel-js__svgLabels, .svg-funnel-js__segmentLabels'
+        );
+
+        for (let i = 0; i < labels.length; i++) {
+            labels[i].remove();
+        }
+    }
+
+    addHTMLLabels() {
         const holder = document.createElement('div');
-        holder.setAttribute('class', 'svg-funnel-js__labels');
+        setAttrs(holder, {
+            class: 'svg-funnel-js__labels',
+            role: 'list',
+            'aria-label': this.title
+        });
+
+        this.createHTMLLabels(0).forEach(labelElement => holder.appendChild(labelElement));
+
+        // keep the labels in front of the legend, when they are redrawn
+        this.container.insertBefore(holder, this.container.querySelector('.svg-funnel-js__subLabels'));
+    }
 
-        this.percentages.forEach((percentage, index) => {
+    // only one stage is in the tab order, arrow keys move between the stages
+    createHTMLLabels(tabStopIndex) {
+        const metrics = this.getMetrics();
+
+        return this.percentages.map((percentage, index) => {
             const labelElement = document.createElement('div');
-            labelElement.setAttribute('class', `svg-funnel-js__label label-${index + 1}`);
+            setAttrs(labelElement, {
+                class: `svg-funnel-js__label label-${index + 1}`,
+                role: 'listitem',
+                tabindex: index === tabStopIndex ? '0' : '-1',
+                'aria-label': describeStage(metrics[index], index, this.formatters)
+            });
 
             const title = document.createElement('div');
             title.setAttribute('class', 'label__title');
@@ -177,11 +470,11 @@ class FunnelGraph {
             value.setAttribute('class', 'label__value');
 
             const valueNumber = this.is2d() ? this.getValues2d()[index] : this.values[index];
-            value.textContent = formatNumber(valueNumber);
+            value.textContent = this.formatters.value(valueNumber);
 
             const percentageValue = document.createElement('div');
             percentageValue.setAttribute('class', 'label__percentage');
-            percentageValue.textContent = `${percentage.toString()}%`;
+            percentageValue.textContent = this.formatters.percent(percentage);
 
             labelElement.appendChild(value);
             labelElement.appendChild(title);
@@ -189,6 +482,21 @@ class FunnelGraph {
                 labelElement.appendChild(percentageValue);
             }
 
+            if (this.compare) {
+                const delta = document.createElement('div');
+                const direction = metrics[index].delta >= 0 ? 'positive' : 'negative';
+                delta.setAttribute('class', `label__delta label__delta--${direction}`);
+                delta.textContent = this.formatDelta(metrics[index]);
+                labelElement.appendChild(delta);
+            }
+
+            if (metrics[index].targetStatus) {
+                const target = document.createElement('div');
+                target.setAttribute('class', `label__target label__target--${metrics[index].targetStatus}`);
+                target.textContent = formatTarget(metrics[index], this.formatters);
+                labelElement.appendChild(target);
+            }
+
             if (this.is2d()) {
                 const segmentPercentages = document.createElement('div');
                 segmentPercentages.setAttribute('class', 'label__segment-percentages');
@@ -198,9 +506,10 @@ class FunnelGraph {
 
                 this.subLabels.forEach((subLabel, j) => {
                     const subLabelDisplayValue = this.subLabelValue === 'percent'
-                        ? `${twoDimPercentages[index][j]}%`
-                        : formatNumber(this.values[index][j]);
-                    percentageList += `<li>${this.subLabels[j]}:
+                        ? this.formatters.percent(twoDimPercentages[index][j])
+                        : this.formatters.value(this.values[index][j]);
+                    const itemClass = this.isSeriesVisible(j) ? '' : ' class="segment-percentage__item--hidden"';
+                    percentageList += `<li${itemClass}>${this.subLabels[j]}:
     <span class="percentage__list-label">${subLabelDisplayValue}</span>
  </li>`;
                 });
@@ -209,30 +518,419 @@ class FunnelGraph {
                 labelElement.appendChild(segmentPercentages);
             }
 
-            holder.appendChild(labelElement);
+            if (this.displayDropOff && index > 0) {
+                const dropOff = document.createElement('div');
+                dropOff.setAttribute('class', 'label__drop-off');
+                dropOff.textContent = formatDropOff(metrics[index], this.formatters);
+                labelElement.appendChild(dropOff);
+            }
+
+            return labelElement;
+        });
+    }
+
+    /*
+        Labels are patched instead of drawn again: only the labels of stages that have changed are replaced,
+        and the stage that is in the tab order stays there, if it still exists
+     */
+    updateLabels() {
+        const holder = this.container.querySelector(
+            this.hasSVGLabels() ? '.svg-funnel-js__svgLabels' : '.svg-funnel-js__labels'
+        );
+
+        if (!holder) {
+            this.redrawLabels();
+            return;
+        }
+
+        const tabStopIndex = Math.max(0, Array.prototype.findIndex.call(
+            holder.children, labelElement => labelElement.getAttribute('tabindex') === '0'
+        ));
+
+        holder.setAttribute('aria-label', this.title);
+
+        if (this.hasSVGLabels()) {
+            this.updateSVGLabels(holder, tabStopIndex);
+            this.layoutSVGLabels();
+        } else {
+            patchChildren(holder, this.createHTMLLabels(Math.min(tabStopIndex, this.getDataSize() - 1)));
+        }
+
+        this.addTable();
+        this.describeSVG(this.getSVG());
+    }
+
+    getStageLabelLines(index, metrics) {
+        const lines = [
+            {
+                text: this.formatters.value(metrics[index].value),
+                className: 'label__value',
+                fill: this.theme.value,
+                scale: 1.5
+            },
+            {
+                text: this.labels[index] || '',
+                className: 'label__title',
+                fill: this.theme.title,
+                fontWeight: 'bold',
+                wrap: true
+            }
+        ];
+
+        if (this.displayPercent) {
+            lines.push({
+                text: this.formatters.percent(this.percentages[index]),
+                className: 'label__percentage',
+                fill: this.theme.percentage,
+                fontWeight: 'bold'
+            });
+        }
+
+        if (this.compare) {
+            lines.push({
+                text: this.formatDelta(metrics[index]),
+                className: 'label__delta',
+                fill: this.theme.text
+            });
+        }
+
+        if (metrics[index].targetStatus) {
+            lines.push({
+                text: formatTarget(metrics[index], this.formatters),
+                className: `label__target label__target--${metrics[index].targetStatus}`,
+                fill: this.getTargetColor(metrics[index].targetStatus)
+            });
+        }
+
+        if (this.displayDropOff && index > 0) {
+            lines.push({
+                text: formatDropOff(metrics[index], this.formatters),
+                className: 'label__drop-off',
+                fill: this.theme.text
+            });
+        }
+
+        return lines;
+    }
+
+    /*
+        Positions of the labels drawn into the SVG, calculated from the geometry of the stages.
+        Segments of a two-dimensional graph are labelled where they are thick enough
+        and their labels do not collide with the labels of the stages.
+     */
+    getLabelsLayout() {
+        if (this.isMirrored()) return this.getMirroredLabelsLayout();
+
+        const mainAxisPoints = this.getMainAxisPoints();
+        const crossAxisPoints = this.getCrossAxisPoints();
+        const metrics = this.getMetrics();
+        const options = Object.assign({
+            vertical: this.isVertical(),
+            fullDimension: this.getFullDimension()
+        }, this.labelOptions);
+
+        const stages = metrics.map((metric, index) => layoutStageLabel(
+            this.getStageLabelLines(index, metrics),
+            getStageBox(mainAxisPoints, crossAxisPoints, index),
+            options
+        ));
+        const segments = [];
+
+        if (this.is2d()) {
+            const occupied = stages.map(stage => stage.rect);
+            const percentages = this.getPercentages2d();
+
+            this.values.forEach((valueSet, index) => {
+                valueSet.forEach((value, j) => {
+                    if (!this.isSeriesVisible(j)) return;
+
+                    const edge = crossAxisPoints[j];
+                    const nextEdge = crossAxisPoints[j + 1];
+                    const segment = layoutSegmentLabel({
+                        text: this.subLabelValue === 'percent'
+                            ? this.formatters.percent(percentages[index][j])
+                            : this.formatters.value(value),
+                        className: 'label__segment',
+                        fill: this.theme.value
+                    }, [mainAxisPoints[index], mainAxisPoints[index + 1]], [
+                        Math.max(edge[index], edge[index + 1]),
+                        Math.min(nextEdge[index], nextEdge[index + 1])
+                    ], occupied, options);
+
+                    if (segment) segments.push(Object.assign({ stageIndex: index, subLabelIndex: j }, segment));
+                });
+            });
+        }
+
+        return { stages, segments };
+    }
+
+    /*
+        Titles of a mirrored funnel are put on the center line, like the categories of a butterfly chart,
+        and every side gets its value beyond its outer edge, or inside of it when there is no room.
+        Values that would collide with a title are left out.
+     */
+    getMirroredLabelsLayout() {
+        const mainAxisPoints = this.getMainAxisPoints();
+        const crossAxisPoints = this.getCrossAxisPoints();
+        const fullDimension = this.getFullDimension();
+        const center = fullDimension / 2;
+        const options = Object.assign({}, this.labelOptions, { vertical: this.isVertical(), fullDimension });
+        const values = this.getVisibleValues2d();
+        const sideMetrics = [0, 1].map(side => createMetrics(values.map(row => row[side])));
+
+        const stages = values.map((row, index) => layoutStageLabel([{
+            text: this.labels[index] || '',
+            className: 'label__title',
+            fill: this.theme.title,
+            fontWeight: 'bold',
+            wrap: true
+        }], {
+            main: [mainAxisPoints[index], mainAxisPoints[index + 1]],
+            inside: [0, fullDimension],
+            before: 0,
+            after: fullDimension
+        }, Object.assign({}, options, { position: 'inside' })));
+        const segments = [];
+
+        values.forEach((row, index) => {
+            const main = [mainAxisPoints[index], mainAxisPoints[index + 1]];
+
+            row.forEach((value, side) => {
+                if (!this.isSeriesVisible(side)) return;
+
+                const edge = crossAxisPoints[side === 0 ? 0 : 2];
+                const lines = [{
+                    text: this.formatters.value(value),
+                    className: 'label__value',
+                    fill: this.theme.value,
+                    fontWeight: 'bold'
+                }];
+
+                if (this.displayPercent) {
+                    lines.push({
+                        text: this.formatters.percent(sideMetrics[side][index][percentModes[this.percentMode]]),
+                        className: 'label__percentage',
+                        fill: this.theme.percentage
+                    });
+                }
+
+                const box = side === 0
+                    ? {
+                        main,
+                        inside: [Math.max(edge[index], edge[index + 1]), center],
+                        before: Math.min(edge[index], edge[index + 1]),
+                        after: fullDimension
+                    }
+                    : {
+                        main,
+                        inside: [center, Math.min(edge[index], edge[index + 1])],
+                        before: 0,
+                        after: Math.max(edge[index], edge[index + 1])
+                    };
+                const block = layoutStageLabel(lines, box, Object.assign({}, options, {
+                    position: side === 0 ? 'above' : 'below'
+                }));
+
+                if (block.rect && !stages.some(stage => stage.rect && rectsOverlap(stage.rect, block.rect))) {
+                    segments.push(Object.assign({ stageIndex: index, subLabelIndex: side }, block));
+                }
+            });
+        });
+
+        return { stages, segments };
+    }
+
+    addSVGLabels() {
+        const svg = this.getSVG();
+        createSVGElement('g', svg, {
+            class: 'svg-funnel-js__segmentLabels',
+            'pointer-events': 'none',
+            'aria-hidden': 'true'
+        });
+        const holder = createSVGElement('g', svg, {
+            class: 'svg-funnel-js__svgLabels',
+            role: 'list',
+            'aria-label': this.title
+        });
+
+        this.updateSVGLabels(holder, 0);
+        this.layoutSVGLabels();
+    }
+
+    // there is a label element for every stage, the texts in them are added when the labels are laid out
+    updateSVGLabels(holder, tabStopIndex) {
+        const metrics = this.getMetrics();
+
+        while (holder.children.length > metrics.length) {
+            holder.removeChild(holder.lastElementChild);
+        }
+
+        metrics.forEach((metric, index) => {
+            const labelElement = holder.children[index] || createSVGElement('g', holder, {
+                class: `svg-funnel-js__label label-${index + 1}`,
+                role: 'listitem'
+            });
+
+            setAttrs(labelElement, {
+                tabindex: index === Math.min(tabStopIndex, metrics.length - 1) ? '0' : '-1',
+                'aria-label': describeStage(metric, index, this.formatters)
+            });
+        });
+    }
+
+    /*
+        Only the texts are replaced when the labels are laid out again,
+        the label elements stay, so that a focused label keeps the focus
+     */
+    layoutSVGLabels() {
+        const holder = this.container && this.container.querySelector('.svg-funnel-js__svgLabels');
+        if (!holder) return;
+
+        const { stages, segments } = this.getLabelsLayout();
+
+        stages.forEach((stage, index) => {
+            const labelElement = holder.children[index];
+
+            while (labelElement.firstChild) labelElement.removeChild(labelElement.firstChild);
+
+            stage.texts.forEach((text) => {
+                createSVGElement('text', labelElement, getTextAttributes(text)).textContent = text.text;
+            });
+        });
+
+        const segmentHolder = this.container.querySelector('.svg-funnel-js__segmentLabels');
+        while (segmentHolder.firstChild) segmentHolder.removeChild(segmentHolder.firstChild);
+
+        segments.forEach((segment) => {
+            segment.texts.forEach((text) => {
+                createSVGElement('text', segmentHolder, getTextAttributes(text)).textContent = text.text;
+            });
+        });
+    }
+
+    getDescription() {
+        if (this.description) return this.description;
+
+        const summary = createSummary(this.title, this.getMetrics(), this.formatters);
+        const scaleNote = this.getScaleNote();
+
+        return scaleNote ? `${summary} ${scaleNote}.` : summary;
+    }
+
+    describeSVG(svg) {
+        let title = svg.querySelector('title');
+        let desc = svg.querySelector('desc');
+
+        if (!title) {
+            desc = createSVGElement('desc', undefined, { id: generateRandomIdString('funnelDescription-') });
+            title = createSVGElement('title', undefined, { id: generateRandomIdString('funnelTitle-') });
+            svg.insertBefore(desc, svg.firstChild);
+            svg.insertBefore(title, desc);
+        }
+
+        title.textContent = this.title;
+        desc.textContent = this.getDescription();
+
+        setAttrs(svg, {
+            role: 'img',
+            'aria-labelledby': `${title.getAttribute('id')} ${desc.getAttribute('id')}`
         });
+    }
+
+    /*
+        Visually hidden table with the data of the graph, for screen readers
+     */
+    addTable() {
+        const existingTable = this.container.querySelector('.svg-funnel-js__table');
+        if (existingTable) existingTable.remove();
+
+        const table = document.createElement('table');
+        table.setAttribute('class', 'svg-funnel-js__table');
+
+        const caption = document.createElement('caption');
+        caption.textContent = this.title;
+        table.appendChild(caption);
+
+        const createRow = (cells, cellType) => {
+            const row = document.createElement('tr');
+            cells.forEach((content, index) => {
+                const cell = document.createElement(index === 0 ? 'th' : cellType);
+                if (cellType === 'th' || index === 0) {
+                    cell.setAttribute('scope', cellType === 'th' ? 'col' : 'row');
+                }
+                cell.textContent = content;
+                row.appendChild(cell);
+            });
+            return row;
+        };
+
+        const head = document.createElement('thead');
+        const subLabels = this.is2d() ? this.subLabels : [];
+        head.appendChild(createRow(['Stage'].concat(subLabels, ['Value', 'Conversion']), 'th'));
+        table.appendChild(head);
+
+        const body = document.createElement('tbody');
+        this.getMetrics().forEach((metric, index) => {
+            const segments = this.is2d() ? this.values[index].map(value => this.formatters.value(value)) : [];
+            body.appendChild(createRow([metric.label || `Stage ${index + 1}`].concat(
+                segments,
+                [this.formatters.value(metric.value), this.formatters.percent(metric.percentageOfPrevious)]
+            ), 'td'));
+        });
+        table.appendChild(body);
+
+        this.container.appendChild(table);
+    }
+
+    redrawLabels() {
+        this.removeLabels();
 
-        this.container.appendChild(holder);
+        this.addLabels();
     }
 
     addSubLabels() {
         if (this.subLabels) {
-            const subLabelsHolder = document.createElement('div');
-            subLabelsHolder.setAttribute('class', 'svg-funnel-js__subLabels');
+            this.container.appendChild(this.createSubLabelsHolder());
+        }
+    }
+
+    /*
+        Entries of the legend that have not changed stay,
+        the legend is removed when the graph is no longer two-dimensional
+     */
+    updateSubLabels() {
+        const holder = this.container.querySelector('.svg-funnel-js__subLabels');
 
-            let subLabelsHTML = '';
+        if (!this.is2d()) {
+            if (holder) holder.remove();
+        } else if (!holder) {
+            this.addSubLabels();
+        } else {
+            patchChildren(holder, Array.prototype.slice.call(this.createSubLabelsHolder().children));
+        }
+    }
 
-            this.subLabels.forEach((subLabel, index) => {
-                subLabelsHTML += `<div class="svg-funnel-js__subLabel svg-funnel-js__subLabel-${index + 1}">
-    <div class="svg-funnel-js__subLabel--color"
-        style="${generateLegendBackground(this.colors[index], this.gradientDirection)}"></div>
-    <div class="svg-funnel-js__subLabel--title">${subLabel}</div>
+    createSubLabelsHolder() {
+        const subLabelsHolder = document.createElement('div');
+        subLabelsHolder.setAttribute('class', 'svg-funnel-js__subLabels');
+
+        let subLabelsHTML = '';
+
+        this.subLabels.forEach((subLabel, index) => {
+            const classNames = ['svg-funnel-js__subLabel', `svg-funnel-js__subLabel-${index + 1}`];
+            if (!this.isSeriesVisible(index)) classNames.push('svg-funnel-js__subLabel--hidden');
+
+            subLabelsHTML += `<div class="${classNames.join(' ')}">
+<div class="svg-funnel-js__subLabel--color"
+    style="${generateLegendBackground(this.colors[index], this.gradientDirection)}"></div>
+<div class="svg-funnel-js__subLabel--title">${subLabel}</div>
 </div>`;
-            });
+        });
 
-            subLabelsHolder.innerHTML = subLabelsHTML;
-            this.container.appendChild(subLabelsHolder);
-        }
+        subLabelsHolder.innerHTML = subLabelsHTML;
+
+        return subLabelsHolder;
     }
 
     createContainer() {
@@ -260,6 +958,115 @@ class FunnelGraph {
         if (this.direction === 'vertical') {
             this.container.classList.add('svg-funnel-js--vertical');
         }
+
+        if (this.responsive) {
+            this.container.classList.add('svg-funnel-js--responsive');
+        }
+
+        if (this.hasSVGLabels()) {
+            this.container.classList.add('svg-funnel-js--svg-labels');
+        }
+
+        this.applyTheme(this.container);
+    }
+
+    /*
+        Theme is set as CSS custom properties, so that it reaches everything the stylesheet styles
+        (the tooltip may be placed outside of the container, so it gets them as well)
+     */
+    applyTheme(element) {
+        const properties = getThemeProperties(this.theme);
+
+        Object.keys(properties).forEach((name) => {
+            element.style.setProperty(name, properties[name]);
+        });
+    }
+
+    static removeTheme(element) {
+        Array.prototype.slice.call(element.style)
+            .filter(name => /^--svg-funnel-js-/.test(name))
+            .forEach(name => element.style.removeProperty(name));
+    }
+
+    /*
+        Width of the graph follows the width of the container.
+        Height follows as well, unless it was set explicitly.
+     */
+    observeResize() {
+        if (typeof ResizeObserver === 'undefined') return;
+
+        const fixedHeight = typeof this.height !== 'undefined';
+
+        this.handleResize = debounce((entries) => {
+            const { width, height } = entries[entries.length - 1].contentRect;
+
+            // container is hidden
+            if (width === 0) return;
+
+            if (Math.round(width) !== this.getWidth()) {
+                this.updateWidth(Math.round(width));
+            }
+            if (!fixedHeight && height > 0 && Math.round(height) !== this.getHeight()) {
+                this.updateHeight(Math.round(height));
+            }
+        }, 100);
+
+        this.resizeObserver = new ResizeObserver(this.handleResize);
+        this.resizeObserver.observe(this.container);
+    }
+
+    /*
+        Removes everything draw() has added to the container: nodes, classes, DOM listeners,
+        the resize observer, a running animation and the playback, so the graph can be drawn again from scratch
+     */
+    teardown() {
+        // the playback stops without a pause event, the control it would update is removed below
+        clearTimeout(this.playTimer);
+        this.playTimer = null;
+        this.playing = false;
+
+        if (this.cancelAnimation) {
+            this.cancelAnimation();
+            this.cancelAnimation = null;
+        }
+
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+            this.handleResize.cancel();
+            this.resizeObserver = null;
+        }
+
+        this.domListeners.forEach(({ element, type, handler }) => {
+            element.removeEventListener(type, handler);
+        });
+        this.domListeners = [];
+
+        if (this.tooltipElement) {
+            this.tooltipElement.remove();
+            this.tooltipElement = null;
+        }
+
+        if (this.container) {
+            Array.prototype.slice.call(this.container.children)
+                .filter(element => /(^|\s)svg-funnel-js__/.test(element.getAttribute('class')))
+                .forEach(element => element.remove());
+
+            Array.prototype.slice.call(this.container.classList)
+                .filter(className => /^svg-funnel-js($|--)/.test(className))
+                .forEach(className => this.container.classList.remove(className));
+
+            FunnelGraph.removeTheme(this.container);
+        }
+
+        this.graphContainer = null;
+        this.drawnPoints = null;
+    }
+
+    destroy() {
+        this.teardown();
+
+        this.emit('destroy');
+        this.off();
     }
 
     setValues(v) {
@@ -287,7 +1094,7 @@ class FunnelGraph {
             return [];
         }
 
-        const { data } = options;
+        const data = normalizeData(options.data);
 
         if (typeof data === 'object') {
             return data.values;
@@ -296,198 +1103,1548 @@ class FunnelGraph {
         return [];
     }
 
-    getValues2d() {
-        const values = [];
+    static getPercentMode(options) {
+        if (typeof options.percentMode === 'undefined') return 'ofMax';
 
-        this.values.forEach((valueSet) => {
+        if (!percentModes[options.percentMode]) {
+            throw new Error(`Percent mode must be one of: ${Object.keys(percentModes).join(', ')}.`);
+        }
+
+        return options.percentMode;
+    }
+
+    static getResponsive(options) {
+        if (options.responsive === 'viewBox') return 'viewBox';
+
+        return options.responsive ? 'resize' : false;
+    }
+
+    static getShape(options) {
+        const shape = typeof options.shape === 'undefined' ? defaultShape : options.shape;
+
+        // throws for a shape that has not been registered
+        getShape(shape);
+
+        return shape;
+    }
+
+    static getCurveTension(options) {
+        if (typeof options.curveTension === 'undefined') return defaultCurveTension;
+
+        if (typeof options.curveTension !== 'number' || options.curveTension < 0 || options.curveTension > 1) {
+            throw new Error('Curve tension must be a number between 0 and 1.');
+        }
+
+        return options.curveTension;
+    }
+
+    static getScale(options) {
+        const scale = typeof options.scale === 'undefined' ? 'linear' : options.scale;
+
+        // resolved here, so that an unknown scale throws right away
+        getScale(scale);
+
+        return scale;
+    }
+
+    static getLength(options, name) {
+        if (typeof options[name] === 'undefined') return 0;
+
+        if (typeof options[name] !== 'number' || !Number.isFinite(options[name]) || options[name] < 0) {
+            throw new Error(`${name} must be a number that is not negative.`);
+        }
+
+        return options[name];
+    }
+
+    static getStroke(options) {
+        if (!options.stroke) return null;
+
+        // without a color the stroke keeps following the fill of the segment
+        return Object.assign({ color: null, width: 1 }, options.stroke);
+    }
+
+    static getSeparators(options) {
+        if (!options.separators) return null;
+
+        return Object.assign({ color: '#FFFFFF', width: 1 }, options.separators === true ? {} : options.separators);
+    }
+
+    static registerShape(name, shape) {
+        registerShape(name, shape);
+    }
+
+    static unregisterShape(name) {
+        unregisterShape(name);
+    }
+
+    static getAnimation(options) {
+        if (!options.animation) return null;
+
+        if (options.animation === true) return Object.assign({}, defaultAnimation);
+
+        return Object.assign({}, defaultAnimation, options.animation);
+    }
+
+    static getTimeline(options) {
+        return getFrames(normalizeData(options.data).timeline);
+    }
+
+    static getPlayback(options) {
+        const playback = Object.assign({}, defaultPlayback, options.playback);
+
+        if (typeof playback.interval !== 'number' || !Number.isFinite(playback.interval) || playback.interval <= 0) {
+            throw new Error('Playback interval must be a positive number of milliseconds.');
+        }
+
+        return playback;
+    }
+
+    static getLayout(options) {
+        if (typeof options.layout === 'undefined') return 'default';
+
+        if (['default', 'mirrored'].indexOf(options.layout) === -1) {
+            throw new Error('Layout must be one of: default, mirrored.');
+        }
+
+        return options.layout;
+    }
+
+    checkLayout(values = this.values, compare = this.compare, targets = this.targets) {
+        if (!this.isMirrored()) return;
+
+        if (!values.every(row => row instanceof Array && row.length === 2)) {
+            throw new Error('A mirrored funnel needs two values for every stage, one for each side.');
+        }
+
+        // the compared funnel is a single shape of stage totals, the sides of a mirrored funnel are scaled on their own
+        if (compare) {
+            throw new Error('A mirrored funnel cannot be compared with another funnel.');
+        }
+
+        // targets are stage totals too, a side of a mirrored funnel has no line to draw them on
+        if (targets) {
+            throw new Error('A mirrored funnel cannot have targets.');
+        }
+    }
+
+    isMirrored() {
+        return this.layout === 'mirrored';
+    }
+
+    static getCompare(options) {
+        const data = normalizeData(options.data);
+
+        if (!data.compare) return null;
+
+        const compare = Object.assign({ label: null, style: 'outline', color: '#FFFFFF' }, data.compare);
+
+        if (['outline', 'ghost'].indexOf(compare.style) === -1) {
+            throw new Error('Compare style must be one of: outline, ghost.');
+        }
+
+        return compare;
+    }
+
+    static getTargets(options) {
+        const data = normalizeData(options.data);
+
+        if (!data.targets) return null;
+
+        const targets = Object.assign({ style: 'marker' }, data.targets);
+
+        if (['marker', 'outline'].indexOf(targets.style) === -1) {
+            throw new Error('Target style must be one of: marker, outline.');
+        }
+
+        return targets;
+    }
+
+    static getLabelOptions(options) {
+        const labels = typeof options.labels === 'string' ? { position: options.labels } : options.labels;
+        const labelOptions = Object.assign({}, defaultLabelOptions, labels);
+
+        if (labelPositions.indexOf(labelOptions.position) === -1) {
+            throw new Error(`Label position must be one of: ${labelPositions.join(', ')}.`);
+        }
+
+        return labelOptions;
+    }
+
+    static getTooltip(options) {
+        if (!options.tooltip) return null;
+
+        return Object.assign({
+            formatter: createTooltipContent,
+            container: null
+        }, options.tooltip === true ? {} : options.tooltip);
+    }
+
+    static getHiddenSeries(options) {
+        const subLabels = FunnelGraph.getSubLabels(options);
+
+        // series can be referred to either by index or by sub-label
+        return (options.hiddenSeries || [])
+            .map(series => (typeof series === 'string' ? subLabels.indexOf(series) : series))
+            .filter(index => index >= 0);
+    }
+
+    isSeriesVisible(index) {
+        return this.hiddenSeries.indexOf(index) === -1;
+    }
+
+    /*
+        Hidden series are counted as zero, so their paths collapse
+        and stage totals and percentages are calculated only from the visible series
+     */
+    getVisibleValues2d() {
+        return this.values.map(valueSet => valueSet.map((value, index) => (this.isSeriesVisible(index) ? value : 0)));
+    }
+
+    getValues2d() {
+        const values = [];
+
+        this.getVisibleValues2d().forEach((valueSet) => {
             values.push(valueSet.reduce((sum, value) => sum + value, 0));
         });
 
-        return values;
+        return values;
+    }
+
+    getPercentages2d() {
+        const percentages = [];
+
+        this.getVisibleValues2d().forEach((valueSet) => {
+            const total = valueSet.reduce((sum, value) => sum + value, 0);
+            percentages.push(valueSet.map(value => (total === 0 ? 0 : roundPoint(value * 100 / total))));
+        });
+
+        return percentages;
+    }
+
+    setSeriesVisibility(index, visible) {
+        if (!this.is2d() || index < 0 || index >= this.getSubDataSize()) return false;
+        if (this.isSeriesVisible(index) === visible) return true;
+
+        if (visible) {
+            this.hiddenSeries = this.hiddenSeries.filter(i => i !== index);
+        } else if (this.hiddenSeries.length + 1 < this.getSubDataSize()) {
+            this.hiddenSeries = this.hiddenSeries.concat(index);
+        } else {
+            // at least one series has to stay visible
+            return false;
+        }
+
+        this.percentages = this.createPercentages();
+
+        if (this.container) {
+            const legendItem = this.container.querySelector(`.svg-funnel-js__subLabel-${index + 1}`);
+            if (legendItem) legendItem.classList.toggle('svg-funnel-js__subLabel--hidden', !visible);
+
+            this.redrawLabels();
+            this.drawPaths();
+        }
+
+        return true;
+    }
+
+    createPercentages() {
+        const key = percentModes[this.percentMode];
+
+        return createMetrics(this.getStageValues()).map(metric => metric[key]);
+    }
+
+    getStageValues() {
+        return this.is2d() ? this.getValues2d() : [...this.values];
+    }
+
+    getMetrics() {
+        const values = this.getStageValues();
+        const deltas = this.compare ? createDeltas(values, this.compare.values) : [];
+        const targets = this.targets ? createTargets(values, this.targets.values, this.percentMode) : [];
+
+        return createMetrics(values).map((metric, index) => Object.assign({
+            label: this.labels[index] || ''
+        }, metric, deltas[index], targets[index]));
+    }
+
+    formatDelta(metric) {
+        const delta = formatDelta(metric, this.formatters);
+
+        return this.compare.label ? `${delta} vs ${this.compare.label}` : delta;
+    }
+
+    applyGradient(svg, path, colors, index) {
+        const defs = (svg.querySelector('defs') === null)
+            ? createSVGElement('defs', svg)
+            : svg.querySelector('defs');
+
+        const gradientName = generateRandomIdString(`funnelGradient-${index}-`);
+
+        const gradient = createSVGElement('linearGradient', defs, {
+            id: gradientName
+        });
+
+        setAttrs(gradient, getGradientCoordinates(this.gradientDirection));
+
+        getGradientStops(colors).forEach((stop) => {
+            createSVGElement('stop', gradient, stop);
+        });
+
+        setAttrs(path, {
+            fill: `url("#${gradientName}")`,
+            stroke: `url("#${gradientName}")`
+        });
+    }
+
+    applyStroke(path) {
+        if (this.stroke) {
+            setAttrs(path, {
+                stroke: this.stroke.color || path.getAttribute('fill'),
+                'stroke-width': this.stroke.width
+            });
+        } else {
+            path.setAttribute('stroke', path.getAttribute('fill'));
+            removeAttrs(path, 'stroke-width');
+        }
+    }
+
+    getPathColor(index) {
+        if (!this.is2d()) return this.colors;
+
+        // paths that only exist while being animated out have no color of their own
+        return this.colors[index % this.colors.length];
+    }
+
+    makePath(svg, index) {
+        const path = createSVGElement('path');
+        // segments stay below the separators and the labels drawn into the SVG
+        svg.insertBefore(path, svg.querySelector(overlaySelector));
+
+        this.colorPath(svg, path, index);
+
+        return path;
+    }
+
+    // fills a path with its color, replacing the gradient it might have been filled with before
+    colorPath(svg, path, index) {
+        const color = this.getPathColor(index);
+        const fillMode = getFillMode(color);
+
+        removeGradient(svg, path);
+
+        if (fillMode === 'solid') {
+            setAttrs(path, {
+                fill: color,
+                stroke: color
+            });
+        } else if (fillMode === 'gradient') {
+            this.applyGradient(svg, path, color, index + 1);
+        }
+
+        this.applyStroke(path);
+    }
+
+    makeSVG() {
+        const svg = createSVGElement('svg', this.graphContainer);
+        this.setSVGDimensions(svg);
+
+        const valuesNum = this.getCrossAxisPoints().length - 1;
+        for (let i = 0; i < valuesNum; i++) {
+            this.makePath(svg, i);
+        }
+
+        this.describeSVG(svg);
+
+        this.graphContainer.appendChild(svg);
+    }
+
+    setSVGDimensions(svg) {
+        const width = this.getWidth();
+        const height = this.getHeight();
+
+        if (this.responsive === 'viewBox') {
+            // the SVG scales with the container, keeping the aspect ratio of the graph
+            setAttrs(svg, {
+                viewBox: `0 0 ${width} ${height}`,
+                preserveAspectRatio: 'xMidYMid meet',
+                width: '100%'
+            });
+            removeAttrs(svg, 'height');
+        } else {
+            setAttrs(svg, { width, height });
+        }
+    }
+
+    getSVG() {
+        const svg = this.container.querySelector('svg');
+
+        if (!svg) {
+            throw new Error('No SVG found inside of the container');
+        }
+
+        return svg;
+    }
+
+    getWidth() {
+        return this.width || this.graphContainer.clientWidth;
+    }
+
+    getHeight() {
+        return this.height || this.graphContainer.clientHeight;
+    }
+
+    getShapeOptions() {
+        return {
+            vertical: this.isVertical(),
+            tension: this.curveTension,
+            center: this.getFullDimension() / 2
+        };
+    }
+
+    getPathDefinitions(mainAxisPoints = this.getMainAxisPoints(), crossAxisPoints = this.getCrossAxisPoints()) {
+        const valuesNum = crossAxisPoints.length - 1;
+        const options = this.getShapeOptions();
+        const paths = [];
+        for (let i = 0; i < valuesNum; i++) {
+            paths.push(createShapePath(
+                this.shape, i, mainAxisPoints, crossAxisPoints[i], crossAxisPoints[i + 1], options
+            ));
+        }
+
+        return paths;
+    }
+
+    getPathMedian(i) {
+        const cross = this.getCrossAxisPoints()[i];
+        const next = this.getCrossAxisPoints()[i + 1];
+        const medianStart = [];
+        const medianEnd = [];
+
+        cross.forEach((point, index) => {
+            const m = (point + next[index]) / 2;
+            medianStart.push(m - 1);
+            medianEnd.push(m + 1);
+        });
+
+        return createShapePath(this.shape, i, this.getMainAxisPoints(), medianStart, medianEnd, this.getShapeOptions());
+    }
+
+    /*
+        Points of a graph where every path is collapsed onto the center line,
+        used as the starting shape of the initial grow-in animation
+     */
+    getCollapsedPoints() {
+        const center = this.getFullDimension() / 2;
+
+        return {
+            main: this.getMainAxisPoints(),
+            cross: this.getCrossAxisPoints().map(row => row.map(() => center))
+        };
+    }
+
+    renderPaths(mainAxisPoints, crossAxisPoints) {
+        const svg = this.getSVG();
+        const definitions = this.getPathDefinitions(mainAxisPoints, crossAxisPoints);
+        let paths = getSegmentPaths(svg);
+
+        // add or remove paths, when the number of sub-segments has changed
+        for (let i = paths.length; i < definitions.length; i++) {
+            this.makePath(svg, i);
+        }
+        for (let i = definitions.length; i < paths.length; i++) {
+            removePath(svg, paths[i]);
+        }
+        paths = getSegmentPaths(svg);
+
+        const clipPath = this.renderClipPath(svg, mainAxisPoints, crossAxisPoints);
+
+        definitions.forEach((definition, index) => {
+            paths[index].setAttribute('d', definition);
+            if (clipPath) {
+                paths[index].setAttribute('clip-path', `url("#${this.clipPathId}")`);
+            } else {
+                paths[index].removeAttribute('clip-path');
+            }
+
+            // a collapsed path (hidden series or a zero value) would still be visible as a line of its stroke
+            const isCollapsed = areEqual(crossAxisPoints[index], crossAxisPoints[index + 1]);
+            if (isCollapsed) {
+                paths[index].setAttribute('visibility', 'hidden');
+            } else {
+                paths[index].removeAttribute('visibility');
+            }
+        });
+
+        this.renderSeparators(svg, mainAxisPoints, crossAxisPoints, clipPath);
+        this.renderCompare(svg, mainAxisPoints);
+        this.renderTargets(svg, mainAxisPoints);
+
+        this.drawnPoints = { main: mainAxisPoints, cross: crossAxisPoints };
+    }
+
+    hasClipPath() {
+        return this.stageGap > 0 || this.cornerRadius > 0;
+    }
+
+    getClipRects(mainAxisPoints, crossAxisPoints) {
+        return getStageClipRects(mainAxisPoints, crossAxisPoints, {
+            gap: this.stageGap,
+            padding: this.stroke ? this.stroke.width / 2 : 0,
+            vertical: this.isVertical()
+        }).map(rect => Object.assign({ rx: this.cornerRadius, ry: this.cornerRadius }, rect));
+    }
+
+    /*
+        Gaps between stages and rounded corners are cut out of the paths with a clip path,
+        so that they work with every shape
+     */
+    renderClipPath(svg, mainAxisPoints, crossAxisPoints) {
+        let clipPath = svg.querySelector(`[id="${this.clipPathId}"]`);
+
+        if (!this.hasClipPath()) {
+            if (clipPath) clipPath.remove();
+            return null;
+        }
+
+        if (!clipPath) {
+            const defs = svg.querySelector('defs') || createSVGElement('defs', svg);
+            clipPath = createSVGElement('clipPath', defs, { id: this.clipPathId });
+        }
+
+        while (clipPath.firstChild) clipPath.removeChild(clipPath.firstChild);
+
+        this.getClipRects(mainAxisPoints, crossAxisPoints).forEach((rect) => {
+            createSVGElement('rect', clipPath, rect);
+        });
+
+        return clipPath;
+    }
+
+    getCompareAttributes(d) {
+        const { style, color } = this.compare;
+
+        if (style === 'ghost') {
+            return {
+                d, fill: color, 'fill-opacity': 0.25, stroke: 'none'
+            };
+        }
+
+        return {
+            d, fill: 'none', stroke: color, 'stroke-width': 2, 'stroke-dasharray': '6 4'
+        };
+    }
+
+    getComparePathDefinition(mainAxisPoints) {
+        const [edge, nextEdge] = this.getCompareCrossAxisPoints();
+
+        return createShapePath(this.shape, 0, mainAxisPoints, edge, nextEdge, this.getShapeOptions());
+    }
+
+    /*
+        The compared funnel is drawn as an outline over the segments,
+        or as a ghost shape behind them
+     */
+    renderCompare(svg, mainAxisPoints) {
+        let group = svg.querySelector('.svg-funnel-js__compare');
+
+        if (!this.compare) {
+            if (group) group.remove();
+            return;
+        }
+
+        if (!group) {
+            group = createSVGElement('g', undefined, { class: 'svg-funnel-js__compare', 'pointer-events': 'none' });
+            createSVGElement('path', group);
+        }
+
+        const anchor = (this.compare.style === 'ghost'
+            ? getSegmentPaths(svg)[0]
+            : svg.querySelector(overlaySelector))
+            || null;
+        if (group.nextSibling !== anchor || group.parentNode !== svg) svg.insertBefore(group, anchor);
+
+        setAttrs(group.firstChild, this.getCompareAttributes(this.getComparePathDefinition(mainAxisPoints)));
+    }
+
+    getTargetColor(status) {
+        return status === 'above' ? this.theme.accent : this.theme.negative;
+    }
+
+    /*
+        Every target is drawn across its stage at the size of the target value,
+        inset a little, so that the targets of neighbouring stages stay apart
+     */
+    getTargetAttributes(mainAxisPoints) {
+        const fullDimension = this.getFullDimension();
+        const max = this.getMaxValue();
+        const isOutline = this.targets !== null && this.targets.style === 'outline';
+
+        return this.getDrawnTargets().map(({ index, target, status }) => {
+            const inset = (mainAxisPoints[index + 1] - mainAxisPoints[index]) * 0.1;
+            const cross = roundPoint((1 - this.getScaledRatio(target, max, fullDimension)) * fullDimension / 2);
+
+            return {
+                class: `svg-funnel-js__target svg-funnel-js__target--${status}`,
+                d: createTargetPath(
+                    roundPoint(mainAxisPoints[index] + inset),
+                    roundPoint(mainAxisPoints[index + 1] - inset),
+                    cross,
+                    fullDimension - cross,
+                    { vertical: this.isVertical(), closed: isOutline }
+                ),
+                fill: 'none',
+                stroke: this.getTargetColor(status),
+                'stroke-width': isOutline ? 2 : 3,
+                'stroke-dasharray': isOutline ? '5 3' : null
+            };
+        });
+    }
+
+    renderTargets(svg, mainAxisPoints) {
+        let group = svg.querySelector('.svg-funnel-js__targets');
+
+        if (!this.getDrawnTargets().length) {
+            if (group) group.remove();
+            return;
+        }
+
+        if (!group) {
+            group = createSVGElement('g', undefined, { class: 'svg-funnel-js__targets', 'pointer-events': 'none' });
+        }
+
+        const anchor = svg.querySelector(overlaySelector);
+        if (group.nextSibling !== anchor || group.parentNode !== svg) svg.insertBefore(group, anchor);
+
+        while (group.firstChild) group.removeChild(group.firstChild);
+
+        this.getTargetAttributes(mainAxisPoints).forEach(attributes => createSVGElement('path', group, attributes));
+    }
+
+    getSeparatorDefinitions(mainAxisPoints, crossAxisPoints) {
+        const options = this.getShapeOptions();
+        const definitions = [];
+
+        // only the edges between segments get a separator, not the outline of the graph
+        for (let i = 1; i < crossAxisPoints.length - 1; i++) {
+            definitions.push(createShapePath(
+                this.shape, i, mainAxisPoints, crossAxisPoints[i], crossAxisPoints[i], options
+            ));
+        }
+
+        return definitions;
+    }
+
+    renderSeparators(svg, mainAxisPoints, crossAxisPoints, clipPath) {
+        let group = svg.querySelector('.svg-funnel-js__separators');
+
+        if (!this.separators || !this.is2d()) {
+            if (group) group.remove();
+            return;
+        }
+
+        if (!group) {
+            group = createSVGElement('g', undefined, { class: 'svg-funnel-js__separators', fill: 'none' });
+            svg.insertBefore(group, svg.querySelector(
+                '.svg-funnel-js__segmentLabels, .svg-funnel-js__svgLabels, .svg-funnel-js__scaleNote'
+            ));
+        }
+
+        setAttrs(group, { stroke: this.separators.color, 'stroke-width': this.separators.width });
+        if (clipPath) {
+            group.setAttribute('clip-path', `url("#${this.clipPathId}")`);
+        } else {
+            group.removeAttribute('clip-path');
+        }
+
+        while (group.firstChild) group.removeChild(group.firstChild);
+
+        this.getSeparatorDefinitions(mainAxisPoints, crossAxisPoints).forEach((d) => {
+            createSVGElement('path', group, { d });
+        });
+    }
+
+    animatePaths(mainAxisPoints, crossAxisPoints) {
+        const from = this.drawnPoints;
+        const rows = Math.max(from.cross.length, crossAxisPoints.length);
+        const columns = Math.max(from.main.length, mainAxisPoints.length);
+
+        const start = {
+            main: resizePoints([from.main], 1, columns),
+            cross: resizePoints(from.cross, rows, columns)
+        };
+        const end = {
+            main: resizePoints([mainAxisPoints], 1, columns),
+            cross: resizePoints(crossAxisPoints, rows, columns)
+        };
+
+        if (this.cancelAnimation) this.cancelAnimation();
+
+        this.cancelAnimation = animate({
+            duration: this.animation.duration,
+            easing: this.animation.easing,
+            onFrame: (progress) => {
+                this.renderPaths(
+                    interpolatePoints(start.main, end.main, progress)[0],
+                    interpolatePoints(start.cross, end.cross, progress)
+                );
+            },
+            onComplete: () => {
+                this.cancelAnimation = null;
+                this.renderPaths(mainAxisPoints, crossAxisPoints);
+            }
+        });
+    }
+
+    drawPaths() {
+        const mainAxisPoints = this.getMainAxisPoints();
+        const crossAxisPoints = this.getCrossAxisPoints();
+
+        if (this.animation && this.drawnPoints) {
+            this.animatePaths(mainAxisPoints, crossAxisPoints);
+        } else {
+            this.renderPaths(mainAxisPoints, crossAxisPoints);
+        }
+
+        // labels are placed by the final geometry, they do not follow the animation
+        if (this.hasSVGLabels()) this.layoutSVGLabels();
+
+        this.renderScaleNote(this.getSVG());
+    }
+
+    getScaleNoteAttributes(offset = { left: 0, top: 0 }) {
+        return {
+            class: 'svg-funnel-js__scaleNote',
+            x: offset.left + this.getWidth() - 4,
+            y: offset.top + this.getHeight() - 4,
+            'text-anchor': 'end',
+            'font-size': 10,
+            fill: this.theme.text
+        };
+    }
+
+    /*
+        Graphs whose sizes are not proportional to their values are marked,
+        the labels still show the true values
+     */
+    renderScaleNote(svg) {
+        const note = this.getScaleNote();
+        let text = svg.querySelector('.svg-funnel-js__scaleNote');
+
+        if (!note) {
+            if (text) text.remove();
+            return;
+        }
+
+        if (!text) text = createSVGElement('text', svg);
+        setAttrs(text, this.getScaleNoteAttributes());
+        text.textContent = note;
+    }
+
+    /*
+        Timeline
+     */
+
+    getFrameTitle(index) {
+        const { date } = this.timeline[index];
+
+        return typeof date === 'undefined' ? `Frame ${index + 1}` : this.formatters.date(date);
+    }
+
+    isPlaying() {
+        return this.playing;
+    }
+
+    createTimelineControl() {
+        const control = document.createElement('div');
+        control.setAttribute('class', 'svg-funnel-js__timeline');
+        control.innerHTML = `<button type="button" class="svg-funnel-js__timelinePlay"></button>
+<input type="range" class="svg-funnel-js__timelineScrubber" min="0" step="1" aria-label="Frame">
+<div class="svg-funnel-js__timelineDate" aria-live="polite"></div>`;
+
+        const scrubber = control.querySelector('.svg-funnel-js__timelineScrubber');
+
+        this.addDOMListener(control.querySelector('.svg-funnel-js__timelinePlay'), 'click', () => {
+            if (this.isPlaying()) {
+                this.pause();
+            } else {
+                this.play();
+            }
+        });
+        // scrubbing takes over from the playback
+        this.addDOMListener(scrubber, 'input', () => {
+            this.pause();
+            this.goToFrame(Number(scrubber.value));
+        });
+
+        return control;
+    }
+
+    // the scrubber and the play button follow the frame and the playback
+    renderTimeline() {
+        if (!this.graphContainer) return;
+
+        let control = this.container.querySelector('.svg-funnel-js__timeline');
+        this.container.classList.toggle('svg-funnel-js--timeline', this.timeline !== null);
+
+        if (!this.timeline) {
+            if (control) control.remove();
+            return;
+        }
+
+        if (!control) {
+            control = this.createTimelineControl();
+            this.container.appendChild(control);
+        }
+
+        const title = this.getFrameTitle(this.frameIndex);
+        const play = control.querySelector('.svg-funnel-js__timelinePlay');
+        const scrubber = control.querySelector('.svg-funnel-js__timelineScrubber');
+
+        play.textContent = this.isPlaying() ? 'Pause' : 'Play';
+        play.classList.toggle('svg-funnel-js__timelinePlay--playing', this.isPlaying());
+        setAttrs(scrubber, { max: this.timeline.length - 1, 'aria-valuetext': title });
+        scrubber.value = String(this.frameIndex);
+        control.querySelector('.svg-funnel-js__timelineDate').textContent = title;
+    }
+
+    /*
+        Every frame is checked when the timeline is set, with the labels, sub-labels, compared funnel
+        and targets it is shown with, so that a bad frame throws here and not halfway through the playback
+     */
+    checkFrames(frames, data) {
+        if (!frames) return frames;
+
+        return frames.map((frame) => {
+            const { values } = this.checkData(Object.assign({}, data, { values: frame.values }));
+            this.checkLayout(values);
+
+            return Object.assign({}, frame, { values });
+        });
+    }
+
+    setTimeline(frames) {
+        this.pause();
+        this.timeline = frames;
+        this.frameIndex = 0;
+        this.renderTimeline();
+    }
+
+    /*
+        Frames are shown like data updates: the paths morph into the new values and the labels are patched,
+        hidden series, colors, targets and the compared funnel stay
+     */
+    goToFrame(index) {
+        if (!this.timeline) {
+            throw new Error('The graph has no timeline.');
+        }
+
+        if (!isFrameIndex(index, this.timeline)) {
+            throw new Error(`Frame must be an index between 0 and ${this.timeline.length - 1}.`);
+        }
+
+        const frame = this.timeline[index];
+        const data = { values: frame.values };
+        if (this.compare) data.compare = this.compare;
+        if (this.targets) data.targets = this.targets;
+
+        this.applyDataUpdate(data);
+        this.frameIndex = index;
+        this.renderTimeline();
+
+        this.emit('frameChange', { frameIndex: index, date: frame.date, values: frame.values });
+    }
+
+    scheduleFrame() {
+        this.playTimer = setTimeout(() => {
+            // the timer has fired, a frame that throws ends the playback instead of leaving it stuck
+            this.playTimer = null;
+            try {
+                this.goToFrame(getNextFrameIndex(this.frameIndex, this.timeline.length, this.playback.loop));
+            } catch (error) {
+                this.pause();
+                throw error;
+            }
+
+            // a frameChange handler may have paused the playback
+            if (!this.isPlaying()) return;
+
+            if (getNextFrameIndex(this.frameIndex, this.timeline.length, this.playback.loop) === null) {
+                this.pause();
+            } else {
+                this.scheduleFrame();
+            }
+        }, this.playback.interval);
+    }
+
+    play() {
+        if (!this.timeline || this.timeline.length < 2 || this.isPlaying()) return;
+
+        // the playback starts over when it is at the last frame
+        if (getNextFrameIndex(this.frameIndex, this.timeline.length) === null) this.goToFrame(0);
+
+        this.playing = true;
+        this.scheduleFrame();
+        this.renderTimeline();
+
+        this.emit('play', { frameIndex: this.frameIndex });
+    }
+
+    pause() {
+        if (!this.isPlaying()) return;
+
+        clearTimeout(this.playTimer);
+        this.playTimer = null;
+        this.playing = false;
+        this.renderTimeline();
+
+        this.emit('pause', { frameIndex: this.frameIndex });
+    }
+
+    /*
+        Events
+     */
+
+    on(event, handler) {
+        if (typeof handler !== 'function') {
+            throw new Error(`Handler of the "${event}" event must be a function.`);
+        }
+
+        if (!this.eventHandlers[event]) this.eventHandlers[event] = [];
+        this.eventHandlers[event].push(handler);
+
+        return this;
+    }
+
+    off(event, handler) {
+        if (typeof event === 'undefined') {
+            this.eventHandlers = {};
+        } else if (typeof handler === 'undefined') {
+            delete this.eventHandlers[event];
+        } else if (this.eventHandlers[event]) {
+            this.eventHandlers[event] = this.eventHandlers[event].filter(h => h !== handler);
+        }
+
+        return this;
+    }
+
+    emit(event, payload) {
+        (this.eventHandlers[event] || []).slice().forEach((handler) => {
+            handler.call(this, payload);
+        });
+    }
+
+    /*
+        Interactions
+     */
+
+    addDOMListener(element, type, handler) {
+        element.addEventListener(type, handler);
+        this.domListeners.push({ element, type, handler });
+    }
+
+    getStageIndexAt(offset) {
+        const size = this.getDataSize();
+        const fullDimension = this.isVertical() ? this.getHeight() : this.getWidth();
+        const index = Math.floor(offset * size / fullDimension);
+
+        return Math.min(size - 1, Math.max(0, index));
     }
 
-    getPercentages2d() {
-        const percentages = [];
+    getSegmentContext(stageIndex, subLabelIndex = null) {
+        const totals = this.getStageValues();
+        const isSegment = this.is2d() && subLabelIndex !== null;
+        const stageValue = totals[stageIndex];
+        const value = isSegment ? this.values[stageIndex][subLabelIndex] : stageValue;
+        const max = Math.max(...totals);
 
-        this.values.forEach((valueSet) => {
-            const total = valueSet.reduce((sum, value) => sum + value, 0);
-            percentages.push(valueSet.map(value => (total === 0 ? 0 : roundPoint(value * 100 / total))));
-        });
+        let percentageOfTop = createMetrics(totals)[stageIndex].percentageOfMax;
+        if (isSegment) {
+            percentageOfTop = max === 0 ? 0 : roundPoint(value * 100 / max);
+        }
 
-        return percentages;
-    }
+        const percentageOfStage = isSegment ? this.getPercentages2d()[stageIndex][subLabelIndex] : 100;
+        const context = {
+            stageIndex,
+            subLabelIndex: isSegment ? subLabelIndex : null,
+            label: this.labels[stageIndex] || '',
+            subLabel: isSegment ? (this.subLabels[subLabelIndex] || '') : null,
+            value,
+            stageValue,
+            percentageOfStage,
+            percentageOfTop,
+            formatted: {
+                value: this.formatters.value(value),
+                stageValue: this.formatters.value(stageValue),
+                percentageOfStage: this.formatters.percent(percentageOfStage),
+                percentageOfTop: this.formatters.percent(percentageOfTop)
+            }
+        };
 
-    createPercentages() {
-        let values = [];
+        // the change against the compared funnel is known only for whole stages
+        if (this.compare) {
+            const metric = this.getMetrics()[stageIndex];
 
-        if (this.is2d()) {
-            values = this.getValues2d();
-        } else {
-            values = [...this.values];
+            Object.assign(context, {
+                compareValue: metric.compareValue,
+                delta: metric.delta,
+                deltaPercentage: metric.deltaPercentage
+            });
+            context.formatted.delta = this.formatDelta(metric);
+        }
+
+        // so is the target
+        const stageMetric = this.getMetrics()[stageIndex];
+        if (stageMetric.targetStatus) {
+            Object.assign(context, {
+                target: stageMetric.target,
+                targetPercentage: stageMetric.targetPercentage,
+                targetStatus: stageMetric.targetStatus
+            });
+            context.formatted.target = formatTarget(stageMetric, this.formatters);
         }
 
-        const max = Math.max(...values);
-        return values.map(value => (value === 0 ? 0 : roundPoint(value * 100 / max)));
+        return context;
     }
 
-    applyGradient(svg, path, colors, index) {
-        const defs = (svg.querySelector('defs') === null)
-            ? createSVGElement('defs', svg)
-            : svg.querySelector('defs');
+    /*
+        Labels are laid over the SVG, so the path under the pointer is looked up by coordinates
+        rather than taken from the event target
+     */
+    getContextAtPoint(clientX, clientY, target) {
+        const svg = this.getSVG();
+        const paths = getSegmentPaths(svg);
+        const elements = typeof document.elementsFromPoint === 'function'
+            ? document.elementsFromPoint(clientX, clientY)
+            : [target];
+        const path = elements.filter(element => paths.indexOf(element) !== -1)[0];
 
-        const gradientName = generateRandomIdString(`funnelGradient-${index}-`);
+        if (!path) return null;
 
-        const gradient = createSVGElement('linearGradient', defs, {
-            id: gradientName
-        });
+        const rect = svg.getBoundingClientRect();
+        const offset = this.isVertical()
+            ? (clientY - rect.top) * this.getHeight() / rect.height
+            : (clientX - rect.left) * this.getWidth() / rect.width;
 
-        if (this.gradientDirection === 'vertical') {
-            setAttrs(gradient, {
-                x1: '0',
-                x2: '0',
-                y1: '0',
-                y2: '1'
-            });
-        }
+        return this.getSegmentContext(this.getStageIndexAt(offset), paths.indexOf(path));
+    }
 
-        const numberOfColors = colors.length;
+    addTooltip() {
+        const { container } = this.tooltip;
 
-        for (let i = 0; i < numberOfColors; i++) {
-            createSVGElement('stop', gradient, {
-                'stop-color': colors[i],
-                offset: `${Math.round(100 * i / (numberOfColors - 1))}%`
-            });
+        this.tooltipContainer = this.container;
+        if (typeof container === 'string') {
+            this.tooltipContainer = document.querySelector(container);
+            if (!this.tooltipContainer) {
+                throw new Error(`Tooltip container cannot be found (selector: ${container}).`);
+            }
+        } else if (container instanceof HTMLElement) {
+            this.tooltipContainer = container;
         }
 
-        setAttrs(path, {
-            fill: `url("#${gradientName}")`,
-            stroke: `url("#${gradientName}")`
+        this.tooltipElement = document.createElement('div');
+        this.tooltipElement.setAttribute('class', 'svg-funnel-js__tooltip svg-funnel-js__tooltip--hidden');
+        this.applyTheme(this.tooltipElement);
+        this.tooltipContainer.appendChild(this.tooltipElement);
+    }
+
+    addInteractions() {
+        let hovered = null;
+
+        const onPointer = (event) => {
+            const context = this.getContextAtPoint(event.clientX, event.clientY, event.target);
+
+            if (this.tooltip) {
+                if (context) {
+                    this.showTooltip(context, event);
+                } else {
+                    this.hideTooltip();
+                }
+            }
+
+            const key = context ? `${context.stageIndex}-${context.subLabelIndex}` : null;
+            if (context && key !== hovered) {
+                this.emit('segmentHover', Object.assign({ originalEvent: event }, context));
+            } else if (!context && hovered !== null) {
+                this.emit('segmentLeave', { originalEvent: event });
+            }
+            hovered = key;
+        };
+
+        this.addDOMListener(this.container, 'pointermove', onPointer);
+        this.addDOMListener(this.container, 'pointerdown', onPointer);
+        this.addDOMListener(this.container, 'pointerleave', (event) => {
+            if (hovered !== null) this.emit('segmentLeave', { originalEvent: event });
+            hovered = null;
+            // on touch devices pointerleave follows every tap, the tooltip stays until tapping outside of the funnel
+            if (event.pointerType !== 'touch') this.hideTooltip();
         });
+        this.addDOMListener(this.container, 'click', event => this.handleClick(event));
+        this.addDOMListener(this.container, 'keydown', event => this.handleKeydown(event));
     }
 
-    makeSVG() {
-        const svg = createSVGElement('svg', this.graphContainer, {
-            width: this.getWidth(),
-            height: this.getHeight()
+    /*
+        Highlights a stage and, in a two-dimensional graph, the series of a segment,
+        e.g. to follow the pointer in another graph. Without arguments the highlight is cleared.
+     */
+    highlight(stageIndex = null, subLabelIndex = null) {
+        if (!this.container) return;
+
+        this.container.classList.toggle('svg-funnel-js--highlighted', subLabelIndex !== null);
+
+        getSegmentPaths(this.getSVG()).forEach((path, index) => {
+            path.classList.toggle('svg-funnel-js__segment--highlighted', index === subLabelIndex);
         });
 
-        const valuesNum = this.getCrossAxisPoints().length - 1;
-        for (let i = 0; i < valuesNum; i++) {
-            const path = createSVGElement('path', svg);
+        this.container.querySelectorAll('.svg-funnel-js__label').forEach((label) => {
+            label.classList.toggle('svg-funnel-js__label--highlighted', stageIndex !== null
+                && label.classList.contains(`label-${stageIndex + 1}`));
+        });
+    }
 
-            const color = (this.is2d()) ? this.colors[i] : this.colors;
-            const fillMode = (typeof color === 'string' || color.length === 1) ? 'solid' : 'gradient';
+    handleKeydown(event) {
+        const labelElement = event.target.closest('.svg-funnel-js__label');
+        if (!labelElement) return;
 
-            if (fillMode === 'solid') {
-                setAttrs(path, {
-                    fill: color,
-                    stroke: color
-                });
-            } else if (fillMode === 'gradient') {
-                this.applyGradient(svg, path, color, i + 1);
-            }
+        const stageIndex = getElementIndex(labelElement);
 
-            svg.appendChild(path);
+        if (event.key === 'Enter' || event.key === ' ') {
+            event.preventDefault();
+            this.emit('stageClick', Object.assign({ originalEvent: event }, this.getSegmentContext(stageIndex)));
+            return;
         }
 
-        this.graphContainer.appendChild(svg);
+        const nextIndex = getNextFocusIndex(event.key, stageIndex, this.getDataSize());
+        if (nextIndex === null) return;
+
+        event.preventDefault();
+        const labelElements = labelElement.parentNode.children;
+        labelElement.setAttribute('tabindex', '-1');
+        labelElements[nextIndex].setAttribute('tabindex', '0');
+        labelElements[nextIndex].focus();
     }
 
-    getSVG() {
-        const svg = this.container.querySelector('svg');
+    /*
+        A click on a segment is also a click on the stage it belongs to,
+        so segmentClick is followed by stageClick, similar to DOM event bubbling
+     */
+    handleClick(event) {
+        const { target } = event;
+        if (target.closest('.svg-funnel-js__timeline')) return;
+
+        const legendItem = target.closest('.svg-funnel-js__subLabel');
+
+        if (legendItem) {
+            const subLabelIndex = getElementIndex(legendItem);
+            this.emit('legendClick', {
+                subLabelIndex,
+                subLabel: this.subLabels[subLabelIndex],
+                originalEvent: event
+            });
+            // handlers can prevent the series from being toggled
+            if (!event.defaultPrevented) {
+                this.setSeriesVisibility(subLabelIndex, !this.isSeriesVisible(subLabelIndex));
+            }
+            return;
+        }
 
-        if (!svg) {
-            throw new Error('No SVG found inside of the container');
+        const labelElement = target.closest('.svg-funnel-js__label');
+        const listItem = target.closest('.segment-percentage__list li');
+        let context = null;
+
+        if (labelElement && listItem) {
+            context = this.getSegmentContext(getElementIndex(labelElement), getElementIndex(listItem));
+        } else {
+            context = this.getContextAtPoint(event.clientX, event.clientY, target);
         }
 
-        return svg;
+        if (context) {
+            this.emit('segmentClick', Object.assign({ originalEvent: event }, context));
+        }
+
+        let stageIndex = null;
+        if (labelElement) {
+            stageIndex = getElementIndex(labelElement);
+        } else if (context) {
+            ({ stageIndex } = context);
+        }
+
+        if (stageIndex !== null) {
+            this.emit('stageClick', Object.assign({ originalEvent: event }, this.getSegmentContext(stageIndex)));
+        }
     }
 
-    getWidth() {
-        return this.width || this.graphContainer.clientWidth;
+    showTooltip(context, event) {
+        const content = this.tooltip.formatter(context);
+
+        if (!content) {
+            this.hideTooltip();
+            return;
+        }
+
+        if (typeof content === 'string') {
+            this.tooltipElement.innerHTML = content;
+        } else {
+            this.tooltipElement.innerHTML = '';
+            this.tooltipElement.appendChild(content);
+        }
+
+        this.tooltipElement.classList.remove('svg-funnel-js__tooltip--hidden');
+
+        const containerRect = this.tooltipContainer.getBoundingClientRect();
+        const position = getTooltipPosition(
+            { x: event.clientX - containerRect.left, y: event.clientY - containerRect.top },
+            { width: this.tooltipElement.offsetWidth, height: this.tooltipElement.offsetHeight },
+            { width: containerRect.width, height: containerRect.height }
+        );
+
+        this.tooltipElement.style.left = `${position.left}px`;
+        this.tooltipElement.style.top = `${position.top}px`;
     }
 
-    getHeight() {
-        return this.height || this.graphContainer.clientHeight;
+    hideTooltip() {
+        if (this.tooltipElement) {
+            this.tooltipElement.classList.add('svg-funnel-js__tooltip--hidden');
+        }
     }
 
-    getPathDefinitions() {
-        const valuesNum = this.getCrossAxisPoints().length - 1;
-        const paths = [];
-        for (let i = 0; i < valuesNum; i++) {
-            if (this.isVertical()) {
-                const X = this.getCrossAxisPoints()[i];
-                const XNext = this.getCrossAxisPoints()[i + 1];
-                const Y = this.getMainAxisPoints();
+    draw() {
+        // drawing again replaces the previous graph instead of adding a second one, a running playback goes on
+        const wasPlaying = this.isPlaying();
+        if (this.graphContainer) {
+            this.teardown();
+        }
 
-                const d = createVerticalPath(i, X, XNext, Y);
-                paths.push(d);
-            } else {
-                const X = this.getMainAxisPoints();
-                const Y = this.getCrossAxisPoints()[i];
-                const YNext = this.getCrossAxisPoints()[i + 1];
+        this.createContainer();
+        this.makeSVG();
 
-                const d = createPath(i, X, Y, YNext);
-                paths.push(d);
-            }
+        this.addLabels();
+
+        if (this.is2d()) {
+            this.addSubLabels();
         }
 
-        return paths;
+        if (wasPlaying && !this.isPlaying()) {
+            this.playing = true;
+            this.scheduleFrame();
+        }
+        this.renderTimeline();
+
+        if (this.animation) {
+            this.drawnPoints = this.getCollapsedPoints();
+        }
+
+        this.drawPaths();
+
+        if (this.tooltip) {
+            this.addTooltip();
+        }
+
+        this.addInteractions();
+
+        if (this.responsive === 'resize') {
+            this.observeResize();
+        }
+
+        this.emit('draw');
     }
 
-    getPathMedian(i) {
+    /*
+        Headless rendering
+        The methods below build markup strings instead of DOM nodes,
+        so the graph can be rendered where there is no document (e.g. in Node).
+        Spacing mirrors the paddings of the default theme.
+     */
+
+    getLabelsOffset() {
+        // labels drawn into the SVG do not need any room around the graph
+        if (this.hasSVGLabels()) {
+            return {
+                top: 0, right: 0, bottom: 0, left: 0
+            };
+        }
+
         if (this.isVertical()) {
-            const cross = this.getCrossAxisPoints()[i];
-            const next = this.getCrossAxisPoints()[i + 1];
-            const Y = this.getMainAxisPoints();
-            const X = [];
-            const XNext = [];
-
-            cross.forEach((point, index) => {
-                const m = (point + next[index]) / 2;
-                X.push(m - 1);
-                XNext.push(m + 1);
+            return {
+                top: 0, right: 16, bottom: 0, left: 120
+            };
+        }
+
+        return {
+            top: 64, right: 0, bottom: 16, left: 0
+        };
+    }
+
+    createPathsString(offset) {
+        const defs = [];
+        const mainAxisPoints = this.getMainAxisPoints();
+        const crossAxisPoints = this.getCrossAxisPoints();
+
+        const paths = this.getPathDefinitions(mainAxisPoints, crossAxisPoints).map((d, index) => {
+            const color = this.getPathColor(index);
+            let fill = typeof color === 'string' ? color : color[0];
+
+            if (getFillMode(color) === 'gradient') {
+                const gradientName = generateRandomIdString(`funnelGradient-${index + 1}-`);
+                const stops = getGradientStops(color).map(stop => createSVGString('stop', stop));
+
+                defs.push(createSVGString('linearGradient', Object.assign(
+                    { id: gradientName },
+                    getGradientCoordinates(this.gradientDirection)
+                ), stops));
+                fill = `url(#${gradientName})`;
+            }
+
+            return createSVGString('path', {
+                d,
+                fill,
+                stroke: this.stroke && this.stroke.color ? this.stroke.color : fill,
+                'stroke-width': this.stroke ? this.stroke.width : null,
+                visibility: areEqual(crossAxisPoints[index], crossAxisPoints[index + 1]) ? 'hidden' : null
             });
+        });
 
-            return createVerticalPath(i, X, XNext, Y);
+        if (this.separators && this.is2d()) {
+            paths.push(createSVGString('g', {
+                class: 'svg-funnel-js__separators',
+                fill: 'none',
+                stroke: this.separators.color,
+                'stroke-width': this.separators.width
+            }, this.getSeparatorDefinitions(mainAxisPoints, crossAxisPoints).map(d => createSVGString('path', { d }))));
         }
 
-        const X = this.getMainAxisPoints();
-        const cross = this.getCrossAxisPoints()[i];
-        const next = this.getCrossAxisPoints()[i + 1];
-        const Y = [];
-        const YNext = [];
+        let content = paths;
+        if (this.hasClipPath()) {
+            defs.push(createSVGString('clipPath', { id: this.clipPathId }, this.getClipRects(
+                mainAxisPoints, crossAxisPoints
+            ).map(rect => createSVGString('rect', rect))));
+            // the clip path is set inside of the translated group, so that it uses the coordinates of the paths
+            content = createSVGString('g', { 'clip-path': `url(#${this.clipPathId})` }, paths);
+        }
 
-        cross.forEach((point, index) => {
-            const m = (point + next[index]) / 2;
-            Y.push(m - 1);
-            YNext.push(m + 1);
-        });
+        if (this.compare) {
+            const compare = createSVGString('g', { class: 'svg-funnel-js__compare' }, createSVGString(
+                'path', this.getCompareAttributes(this.getComparePathDefinition(mainAxisPoints))
+            ));
+            content = this.compare.style === 'ghost' ? [compare].concat(content) : [].concat(content, compare);
+        }
 
-        return createPath(i, X, Y, YNext);
+        const targets = this.getTargetAttributes(mainAxisPoints);
+        if (targets.length) {
+            content = [].concat(content, createSVGString(
+                'g', { class: 'svg-funnel-js__targets' }, targets.map(attributes => createSVGString('path', attributes))
+            ));
+        }
+
+        return (defs.length ? createSVGString('defs', null, defs) : '')
+            + createSVGString('g', { transform: `translate(${offset.left}, ${offset.top})` }, content);
     }
 
-    drawPaths() {
-        const svg = this.getSVG();
-        const paths = svg.querySelectorAll('path');
-        const definitions = this.getPathDefinitions();
+    createSVGLabelsString() {
+        const { stages, segments } = this.getLabelsLayout();
+        const createText = text => createSVGString('text', getTextAttributes(text), escapeXML(text.text));
+        const segmentTexts = segments.reduce((texts, segment) => texts.concat(segment.texts.map(createText)), []);
 
-        definitions.forEach((definition, index) => {
-            paths[index].setAttribute('d', definition);
+        return createSVGString('g', { class: 'svg-funnel-js__segmentLabels' }, segmentTexts)
+            + createSVGString('g', { class: 'svg-funnel-js__svgLabels' }, stages.map((stage, index) => createSVGString(
+                'g', { class: `svg-funnel-js__label label-${index + 1}` }, stage.texts.map(createText)
+            )));
+    }
+
+    // values of the segments of a stage, as listed in the HTML labels (hidden series are not listed)
+    getSegmentLabelLines(index) {
+        if (!this.is2d()) return [];
+
+        const percentages = this.getPercentages2d();
+
+        return this.subLabels
+            .map((subLabel, j) => ({
+                text: `${subLabel}: ${this.subLabelValue === 'percent'
+                    ? this.formatters.percent(percentages[index][j])
+                    : this.formatters.value(this.values[index][j])}`,
+                className: 'label__segment-percentage',
+                fill: this.theme.text
+            }))
+            .filter((line, j) => this.isSeriesVisible(j));
+    }
+
+    /*
+        The HTML labels are turned into SVG text, with the same lines as the labels drawn into the SVG,
+        stacked the way the default theme stacks them
+     */
+    createLabelsString() {
+        if (this.hasSVGLabels()) return this.createSVGLabelsString();
+
+        const mainAxisPoints = this.getMainAxisPoints();
+        const metrics = this.getMetrics();
+
+        const labels = metrics.map((metric, index) => {
+            const x = this.isVertical() ? 0 : mainAxisPoints[index] + 24;
+            let y = this.isVertical() ? mainAxisPoints[index] + 24 : 0;
+
+            const lines = this.getStageLabelLines(index, metrics).concat(this.getSegmentLabelLines(index));
+            const texts = lines.map((line) => {
+                const fontSize = overlayFontSizes[line.className] || 12;
+                y += fontSize;
+
+                const text = createSVGString('text', getTextAttributes({
+                    className: line.className,
+                    x,
+                    y,
+                    fontSize,
+                    fontWeight: line.fontWeight,
+                    fill: line.fill
+                }), escapeXML(line.text));
+                y += 6;
+
+                return text;
+            });
+
+            return createSVGString('g', { class: `svg-funnel-js__label label-${index + 1}` }, texts);
         });
+
+        return createSVGString('g', { class: 'svg-funnel-js__labels' }, labels);
     }
 
-    draw() {
-        this.createContainer();
-        this.makeSVG();
+    createSubLabelsString(width, top) {
+        let x = 0;
+
+        const subLabels = this.subLabels.map((subLabel, index) => {
+            const color = this.colors[index];
+            const item = createSVGString('g', {
+                class: `svg-funnel-js__subLabel svg-funnel-js__subLabel-${index + 1}`,
+                transform: `translate(${x}, 0)`,
+                opacity: this.isSeriesVisible(index) ? null : 0.4
+            }, [
+                createSVGString('circle', {
+                    cx: 6, cy: 8, r: 6, fill: typeof color === 'string' ? color : color[0]
+                }),
+                createSVGString('text', {
+                    x: 20, y: 12, fill: this.theme.text, 'font-size': 12
+                }, escapeXML(subLabel))
+            ]);
+
+            x += 20 + approximateTextWidth(subLabel, 12) + 16;
+
+            return item;
+        });
 
-        this.addLabels();
+        return createSVGString('g', {
+            class: 'svg-funnel-js__subLabels',
+            transform: `translate(${Math.max(0, roundPoint((width - x + 16) / 2))}, ${top})`
+        }, subLabels);
+    }
+
+    getRenderedDimensions() {
+        const offset = this.getLabelsOffset();
+        const legendHeight = this.is2d() ? 40 : 0;
+
+        return {
+            width: this.getWidth() + offset.left + offset.right,
+            height: this.getHeight() + offset.top + offset.bottom + legendHeight,
+            offset,
+            legendHeight
+        };
+    }
+
+    renderToString(options = {}) {
+        if (!this.graphContainer && (!this.width || !this.height)) {
+            throw new Error('Width and height are required to render the graph without a container.');
+        }
+
+        const {
+            width, height, offset, legendHeight
+        } = this.getRenderedDimensions();
+
+        const titleId = generateRandomIdString('funnelTitle-');
+        const descriptionId = generateRandomIdString('funnelDescription-');
+        const content = [
+            createSVGString('title', { id: titleId }, escapeXML(this.title)),
+            createSVGString('desc', { id: descriptionId }, escapeXML(this.getDescription()))
+        ];
+
+        // there is no stylesheet to paint the background of the theme
+        const background = options.background
+            || (this.theme.background !== 'transparent' ? this.theme.background : null);
+
+        if (background) {
+            content.push(createSVGString('rect', {
+                width: '100%', height: '100%', fill: background
+            }));
+        }
+
+        content.push(this.createPathsString(offset));
+        content.push(this.createLabelsString());
+
+        const scaleNote = this.getScaleNote();
+        if (scaleNote) {
+            content.push(createSVGString('text', this.getScaleNoteAttributes(offset), escapeXML(scaleNote)));
+        }
 
         if (this.is2d()) {
-            this.addSubLabels();
+            content.push(this.createSubLabelsString(width, height - legendHeight + 24));
         }
 
-        this.drawPaths();
+        return createSVGString('svg', {
+            xmlns: SVG_NAMESPACE,
+            class: 'svg-funnel-js',
+            width,
+            height,
+            viewBox: `0 0 ${width} ${height}`,
+            role: 'img',
+            'aria-labelledby': `${titleId} ${descriptionId}`,
+            'font-family': this.theme.fontFamily
+        }, content);
+    }
+
+    /*
+        Export
+     */
+
+    exportSVG(options = {}) {
+        // make sure the graph has been drawn
+        this.getSVG();
+
+        return this.renderToString(options);
+    }
+
+    exportImage(options = {}) {
+        const type = options.type || 'png';
+        const mimeType = getImageMimeType(type);
+        // JPEG has no transparency, so it gets a white background unless another one is set
+        const background = options.background || (mimeType === 'image/jpeg' ? '#FFFFFF' : null);
+        const { width, height } = this.getRenderedDimensions();
+
+        return rasterize(this.exportSVG(), {
+            width,
+            height,
+            scale: options.scale || 1,
+            mimeType,
+            background,
+            output: options.output || 'blob'
+        });
+    }
+
+    download(filename = 'funnel-graph.png', options = {}) {
+        const extension = getFileExtension(filename).toLowerCase();
+
+        // errors are reported through the promise, also the ones found before anything is exported
+        try {
+            if (extension === 'svg') {
+                const svg = this.exportSVG(options);
+                downloadBlob(new window.Blob([svg], { type: 'image/svg+xml;charset=utf-8' }), filename);
+                return Promise.resolve();
+            }
+
+            return this.exportImage(Object.assign({}, options, { type: extension || 'png', output: 'blob' }))
+                .then(blob => downloadBlob(blob, filename));
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    static renderFunnelSVG(options) {
+        return new FunnelGraph(options).renderToString();
     }
 
     /*
@@ -500,10 +2657,7 @@ class FunnelGraph {
         this.direction = 'vertical';
         this.container.classList.add('svg-funnel-js--vertical');
 
-        const svg = this.getSVG();
-        const height = this.getHeight();
-        const width = this.getWidth();
-        setAttrs(svg, { height, width });
+        this.setSVGDimensions(this.getSVG());
 
         this.drawPaths();
 
@@ -516,10 +2670,7 @@ class FunnelGraph {
         this.direction = 'horizontal';
         this.container.classList.remove('svg-funnel-js--vertical');
 
-        const svg = this.getSVG();
-        const height = this.getHeight();
-        const width = this.getWidth();
-        setAttrs(svg, { height, width });
+        this.setSVGDimensions(this.getSVG());
 
         this.drawPaths();
 
@@ -575,85 +2726,181 @@ class FunnelGraph {
 
     updateWidth(w) {
         this.width = w;
-        const svg = this.getSVG();
+        this.setSVGDimensions(this.getSVG());
         const width = this.getWidth();
-        setAttrs(svg, { width });
 
         this.drawPaths();
 
+        this.emit('resize', { width, height: this.getHeight() });
+
         return true;
     }
 
     updateHeight(h) {
         this.height = h;
-        const svg = this.getSVG();
+        this.setSVGDimensions(this.getSVG());
         const height = this.getHeight();
-        setAttrs(svg, { height });
 
         this.drawPaths();
 
+        this.emit('resize', { width: this.getWidth(), height });
+
         return true;
     }
 
-    // @TODO: refactor data update
     updateData(d) {
-        const labels = this.container.querySelector('.svg-funnel-js__labels');
-        const subLabels = this.container.querySelector('.svg-funnel-js__subLabels');
+        this.applyDataUpdate(d);
+
+        this.emit('update', { data: d });
+    }
+
+    /*
+        New data is compared with the current one and only what has changed is updated:
+        paths are reshaped, and added or removed when the number of series changes,
+        labels and the legend are patched, and hidden series and colors follow their sub-labels.
+        Parts of the data that are left out are kept, see mergeData().
+     */
+    applyDataUpdate(newData) {
+        const normalizedData = normalizeData(newData);
+        const timelineChanged = typeof normalizedData.timeline !== 'undefined';
+
+        // the data and the timeline are checked before anything is applied, a bad update leaves the graph as it was
+        const d = this.checkData(this.mergeData(normalizedData));
+
+        const labels = FunnelGraph.getLabels({ data: d });
+        const subLabels = FunnelGraph.getSubLabels({ data: d });
+        const values = FunnelGraph.getValues({ data: d });
+        const compare = FunnelGraph.getCompare({ data: d });
+        const targets = FunnelGraph.getTargets({ data: d });
+        this.checkLayout(values, compare, targets);
+        const frames = timelineChanged ? this.checkFrames(getFrames(normalizedData.timeline), d) : null;
+        const dataColors = typeof normalizedData.colors === 'undefined' ? this.dataColors : normalizedData.colors;
+
+        const valuesChanged = !areEqual(this.values, values)
+            || JSON.stringify(this.compare) !== JSON.stringify(compare);
+        const targetsChanged = JSON.stringify(this.targets) !== JSON.stringify(targets);
+        const labelsChanged = !areEqual(this.labels, labels);
+        const subLabelsChanged = !areEqual(this.subLabels, subLabels);
+        const colorsChanged = dataColors !== this.dataColors && !areEqual(this.dataColors, dataColors);
+
+        if (timelineChanged) this.setTimeline(frames);
+
+        if (!valuesChanged && !targetsChanged && !labelsChanged && !subLabelsChanged && !colorsChanged) return;
+
+        const size = values[0] instanceof Array ? values[0].length : 0;
+        const hiddenSeries = (subLabelsChanged
+            ? this.hiddenSeries.map(index => subLabels.indexOf(this.subLabels[index]))
+            : this.hiddenSeries).filter(index => index >= 0 && index < size);
+
+        this.labels = labels;
+        this.subLabels = subLabels;
+        this.values = values;
+        this.compare = compare;
+        this.targets = targets;
+        this.dataColors = dataColors;
+        // at least one series has to stay visible
+        this.hiddenSeries = hiddenSeries.length < size ? hiddenSeries : [];
+        this.percentages = this.createPercentages();
 
-        if (labels) labels.remove();
-        if (subLabels) subLabels.remove();
+        const colors = this.getColors();
+        const colorsOfPathsChanged = !areEqual(this.colors, colors);
+        this.colors = colors;
 
-        this.labels = [];
-        this.colors = getDefaultColors(this.is2d() ? this.getSubDataSize() : 2);
-        this.values = [];
-        this.percentages = [];
+        if (!this.graphContainer) return;
 
-        if (typeof d.labels !== 'undefined') {
-            this.labels = FunnelGraph.getLabels({ data: d });
+        if (colorsOfPathsChanged) {
+            const svg = this.getSVG();
+            getSegmentPaths(svg).forEach((path, index) => this.colorPath(svg, path, index));
         }
-        if (typeof d.colors !== 'undefined') {
-            this.colors = d.colors || getDefaultColors(this.is2d() ? this.getSubDataSize() : 2);
+
+        this.updateLabels();
+        this.updateSubLabels();
+        if (valuesChanged || targetsChanged || subLabelsChanged) this.drawPaths();
+    }
+
+    /*
+        The parts of the data that an update leaves out are taken from the graph, so that the update is checked
+        as a whole, e.g. new values against the labels that stay. The compared funnel and targets
+        can be updated on their own, new values without them remove them.
+     */
+    mergeData(d) {
+        const isKept = name => typeof d[name] === 'undefined';
+        const merged = { values: isKept('values') ? this.values : d.values };
+
+        if (!isKept('labels')) {
+            merged.labels = d.labels;
+        } else if (this.labels.length) {
+            merged.labels = this.labels;
         }
-        if (typeof d.values !== 'undefined') {
-            if (Object.prototype.toString.call(d.values[0]) !== Object.prototype.toString.call(this.values[0])) {
-                this.container.querySelector('svg').remove();
-                this.values = FunnelGraph.getValues({ data: d });
-                this.makeSVG();
-            } else {
-                this.values = FunnelGraph.getValues({ data: d });
-            }
-            this.drawPaths();
+
+        if (!isKept('subLabels')) {
+            merged.subLabels = d.subLabels;
+        } else if (this.subLabels.length) {
+            merged.subLabels = this.subLabels;
         }
-        this.percentages = this.createPercentages();
 
-        this.addLabels();
+        ['compare', 'targets'].forEach((name) => {
+            if (!isKept(name)) {
+                merged[name] = d[name];
+            } else if (isKept('values') && this[name]) {
+                merged[name] = this[name];
+            }
+        });
 
-        if (typeof d.subLabels !== 'undefined') {
-            this.subLabels = FunnelGraph.getSubLabels({ data: d });
-            this.addSubLabels();
-        }
+        return merged;
+    }
+
+    // paths of a drawn graph and the legend get the current colors
+    recolor() {
+        this.colors = this.getColors();
+
+        if (!this.graphContainer) return;
+
+        const svg = this.getSVG();
+        getSegmentPaths(svg).forEach((path, index) => this.colorPath(svg, path, index));
+
+        this.updateSubLabels();
+    }
+
+    /*
+        Switches the theme of a drawn graph, segments get the colors of its palette
+        unless a palette or their colors are set
+     */
+    setTheme(theme) {
+        this.theme = getTheme(theme);
+        this.recolor();
+
+        if (!this.graphContainer) return;
+
+        this.applyTheme(this.container);
+        if (this.tooltipElement) this.applyTheme(this.tooltipElement);
+
+        this.redrawLabels();
+        this.renderTargets(this.getSVG(), this.getMainAxisPoints());
+        this.renderScaleNote(this.getSVG());
     }
 
     update(o) {
-        if (typeof o.displayPercent !== 'undefined') {
-            if (this.displayPercent !== o.displayPercent) {
-                if (this.displayPercent === true) {
-                    this.container.querySelectorAll('.label__percentage').forEach((label) => {
-                        label.remove();
-                    });
-                } else {
-                    this.container.querySelectorAll('.svg-funnel-js__label').forEach((label, index) => {
-                        const percentage = this.percentages[index];
-                        const percentageValue = document.createElement('div');
-                        percentageValue.setAttribute('class', 'label__percentage');
-
-                        if (percentage !== 100) {
-                            percentageValue.textContent = `${percentage.toString()}%`;
-                            label.appendChild(percentageValue);
-                        }
-                    });
-                }
-            }
+        if (typeof o.displayPercent !== 'undefined' && this.displayPercent !== o.displayPercent) {
+            this.displayPercent = o.displayPercent;
+            this.updateLabels();
+        }
+        if (typeof o.format !== 'undefined') {
+            this.formatters = createFormatters(o.format);
+            this.redrawLabels();
+        }
+        if (typeof o.labels !== 'undefined') {
+            this.labelOptions = FunnelGraph.getLabelOptions(o);
+            this.container.classList.toggle('svg-funnel-js--svg-labels', this.hasSVGLabels());
+            this.redrawLabels();
+        }
+        if (typeof o.percentMode !== 'undefined' || typeof o.displayDropOff !== 'undefined') {
+            this.percentMode = FunnelGraph.getPercentMode(Object.assign({ percentMode: this.percentMode }, o));
+            if (typeof o.displayDropOff !== 'undefined') this.displayDropOff = o.displayDropOff;
+            this.percentages = this.createPercentages();
+            this.redrawLabels();
+            // percentage targets are relative to the percent mode
+            if (this.targets && this.graphContainer) this.drawPaths();
         }
         if (typeof o.height !== 'undefined') {
             this.updateHeight(o.height);
@@ -675,10 +2922,52 @@ class FunnelGraph {
                 this.makeHorizontal();
             }
         }
+        if (typeof o.shape !== 'undefined' || typeof o.curveTension !== 'undefined') {
+            const options = {
+                shape: typeof o.shape === 'undefined' ? this.shape : o.shape,
+                curveTension: typeof o.curveTension === 'undefined' ? this.curveTension : o.curveTension
+            };
+            this.shape = FunnelGraph.getShape(options);
+            this.curveTension = FunnelGraph.getCurveTension(options);
+            this.drawPaths();
+        }
+        if (['scale', 'minStageSize', 'maxValue'].some(name => typeof o[name] !== 'undefined')) {
+            if (typeof o.scale !== 'undefined') this.scale = FunnelGraph.getScale(o);
+            if (typeof o.minStageSize !== 'undefined') this.minStageSize = FunnelGraph.getLength(o, 'minStageSize');
+            if (typeof o.maxValue !== 'undefined') this.maxValue = FunnelGraph.getMaxValueOption(o);
+            // a graph can be put on a scale before it is drawn
+            if (this.graphContainer) {
+                this.drawPaths();
+                this.describeSVG(this.getSVG());
+            }
+        }
+        if (['stageGap', 'cornerRadius', 'stroke', 'separators'].some(name => typeof o[name] !== 'undefined')) {
+            if (typeof o.stageGap !== 'undefined') this.stageGap = FunnelGraph.getLength(o, 'stageGap');
+            if (typeof o.cornerRadius !== 'undefined') this.cornerRadius = FunnelGraph.getLength(o, 'cornerRadius');
+            if (typeof o.stroke !== 'undefined') this.stroke = FunnelGraph.getStroke(o);
+            if (typeof o.separators !== 'undefined') this.separators = FunnelGraph.getSeparators(o);
+            getSegmentPaths(this.getSVG()).forEach(path => this.applyStroke(path));
+            this.renderPaths(this.getMainAxisPoints(), this.getCrossAxisPoints());
+        }
+        if (typeof o.theme !== 'undefined') {
+            this.setTheme(o.theme);
+        }
+        if (typeof o.palette !== 'undefined' || typeof o.colorMap !== 'undefined') {
+            if (typeof o.palette !== 'undefined') this.palette = FunnelGraph.getPalette(o);
+            if (typeof o.colorMap !== 'undefined') this.colorMap = o.colorMap;
+            this.recolor();
+        }
+        if (typeof o.playback !== 'undefined') {
+            this.playback = FunnelGraph.getPlayback(o);
+        }
         if (typeof o.data !== 'undefined') {
-            this.updateData(o.data);
+            this.applyDataUpdate(o.data);
         }
+
+        this.emit('update', { options: o });
     }
 }
 
+FunnelGraph.ValidationError = ValidationError;
+
 export default FunnelGraph;
@@ -0,0 +1,41 @@
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+const escapeXML = value => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+const createAttributesString = (attributes) => {
+    if (typeof attributes !== 'object' || attributes === null) return '';
+
+    return Object.keys(attributes)
+        .filter(key => typeof attributes[key] !== 'undefined' && attributes[key] !== null)
+        .map(key => ` ${key}="${escapeXML(attributes[key])}"`)
+        .join('');
+};
+
+/*
+    String counterpart of createSVGElement, used when there is no DOM available.
+    Children are expected to be markup already, so text content has to be escaped by the caller.
+ */
+const createSVGString = (element, attributes, children) => {
+    const content = children instanceof Array ? children.join('') : (children || '');
+    const attributesString = createAttributesString(attributes);
+
+    if (content === '') {
+        return `<${element}${attributesString}/>`;
+    }
+
+    return `<${element}${attributesString}>${content}</${element}>`;
+};
+
+/*
+    Without a DOM text cannot be measured, so the width is estimated from an average glyph width
+ */
+const approximateTextWidth = (text, fontSize) => Math.round(String(text).length * fontSize * 0.6);
+
+export {
+    SVG_NAMESPACE, escapeXML, createAttributesString, createSVGString, approximateTextWidth
+};
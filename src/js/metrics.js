@@ -0,0 +1,108 @@
+import { roundPoint, defaultFormatters } from './number';
+
+const percentModes = {
+    ofMax: 'percentageOfMax',
+    ofFirst: 'percentageOfFirst',
+    ofPrevious: 'percentageOfPrevious'
+};
+
+const percentageOf = (value, total) => (value === 0 || total === 0 ? 0 : roundPoint(value * 100 / total));
+
+/*
+    Stage metrics of a funnel:
+    percentage of the largest and of the first stage,
+    step conversion from the previous stage and the drop-off (absolute and percentage) since the previous stage.
+    The first stage has nothing to convert from, so its conversion is 100% and its drop-off is 0.
+ */
+const createMetrics = (values) => {
+    const max = Math.max(...values);
+
+    return values.map((value, index) => {
+        const previous = index === 0 ? value : values[index - 1];
+        const dropOff = previous - value;
+
+        return {
+            value,
+            percentageOfMax: percentageOf(value, max),
+            percentageOfFirst: percentageOf(value, values[0]),
+            percentageOfPrevious: index === 0 ? 100 : percentageOf(value, previous),
+            dropOff,
+            dropOffPercentage: percentageOf(dropOff, previous)
+        };
+    });
+};
+
+const formatDropOff = (metric, formatters = defaultFormatters) => {
+    const sign = metric.dropOff >= 0 ? '-' : '+';
+
+    return `${sign}${formatters.value(Math.abs(metric.dropOff))} `
+        + `(${sign}${formatters.percent(Math.abs(metric.dropOffPercentage))})`;
+};
+
+/*
+    Change of every stage against the compared funnel (e.g. the previous period),
+    without a relative change when the compared stage is 0
+ */
+const createDeltas = (values, compareValues) => values.map((value, index) => {
+    const compareValue = compareValues[index];
+    const delta = value - compareValue;
+
+    return {
+        compareValue,
+        delta,
+        deltaPercentage: compareValue === 0 ? null : roundPoint(delta * 100 / compareValue)
+    };
+});
+
+const formatDelta = (metric, formatters = defaultFormatters) => {
+    const sign = metric.delta >= 0 ? '+' : '-';
+    const change = `${sign}${formatters.value(Math.abs(metric.delta))}`;
+
+    if (metric.deltaPercentage === null) return change;
+
+    return `${change} (${sign}${formatters.percent(Math.abs(metric.deltaPercentage))})`;
+};
+
+// a percentage target is a conversion in terms of the percent mode, e.g. "40%" of the previous stage
+const resolveTarget = (target, values, index, percentMode) => {
+    if (typeof target !== 'string') return target;
+
+    const bases = {
+        ofMax: Math.max(...values),
+        ofFirst: values[0],
+        // the first stage has nothing to convert from, so its target is relative to itself
+        ofPrevious: values[Math.max(0, index - 1)]
+    };
+
+    return roundPoint(parseFloat(target) * bases[percentMode] / 100);
+};
+
+/*
+    Targets of the stages as absolute values, with the share of the target that has been reached
+    and whether the stage is above or below its target. Stages without a target get nulls.
+ */
+const createTargets = (values, targets, percentMode = 'ofMax') => values.map((value, index) => {
+    const target = resolveTarget(targets[index], values, index, percentMode);
+
+    if (target === null || typeof target === 'undefined') {
+        return { target: null, targetPercentage: null, targetStatus: null };
+    }
+
+    return {
+        target,
+        targetPercentage: target === 0 ? null : roundPoint(value * 100 / target),
+        targetStatus: value >= target ? 'above' : 'below'
+    };
+});
+
+const formatTarget = (metric, formatters = defaultFormatters) => {
+    const target = formatters.value(metric.target);
+
+    if (metric.targetPercentage === null) return `Target ${target}`;
+
+    return `${formatters.percent(metric.targetPercentage)} of target ${target}`;
+};
+
+export {
+    percentModes, createMetrics, formatDropOff, createDeltas, formatDelta, createTargets, formatTarget
+};
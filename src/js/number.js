@@ -1,4 +1,70 @@
 const roundPoint = number => Math.round(number * 10) / 10;
-const formatNumber = number => Number(number).toString().replace(/(\d)(?=(\d{3})+(?!\d))/g, '$1,');
 
-export { roundPoint, formatNumber };
+// a funnel with all zero values has nothing to scale against, so every stage is empty
+const getRatio = (value, max) => (max === 0 ? 0 : value / max);
+
+// only the integer part is grouped, so decimals and negative numbers are formatted correctly
+const formatNumber = (number) => {
+    const parts = Number(number).toString().split('.');
+    parts[0] = parts[0].replace(/(\d)(?=(\d{3})+(?!\d))/g, '$1,');
+
+    return parts.join('.');
+};
+
+const formatPercentage = percentage => `${percentage.toString()}%`;
+
+// dates of a timeline are shown as they are given, Date objects as "YYYY-MM-DD"
+const formatDate = date => (date instanceof Date ? date.toISOString().slice(0, 10) : String(date));
+
+const defaultFormatters = {
+    value: formatNumber,
+    percent: formatPercentage,
+    date: formatDate
+};
+
+/*
+    Format is either a locale, or an object with a locale and Intl.NumberFormat options,
+    and/or custom functions for values, percentages and dates.
+    Percentages are passed to the formatters as numbers between 0 and 100.
+ */
+const createFormatters = (format) => {
+    if (!format) return defaultFormatters;
+
+    const settings = typeof format === 'string' ? { locale: format } : format;
+    const formatters = Object.assign({}, defaultFormatters);
+
+    if ((settings.locale || settings.options) && typeof Intl !== 'undefined') {
+        const valueFormat = new Intl.NumberFormat(settings.locale, settings.options);
+        const percentFormat = new Intl.NumberFormat(settings.locale, {
+            style: 'percent',
+            maximumFractionDigits: 1
+        });
+
+        formatters.value = value => valueFormat.format(value);
+        formatters.percent = percentage => percentFormat.format(percentage / 100);
+    }
+
+    if (settings.locale && typeof Intl !== 'undefined') {
+        const dateFormat = new Intl.DateTimeFormat(settings.locale);
+
+        formatters.date = date => (date instanceof Date ? dateFormat.format(date) : formatDate(date));
+    }
+
+    if (typeof settings.valueFormatter === 'function') {
+        formatters.value = settings.valueFormatter;
+    }
+
+    if (typeof settings.percentFormatter === 'function') {
+        formatters.percent = settings.percentFormatter;
+    }
+
+    if (typeof settings.dateFormatter === 'function') {
+        formatters.date = settings.dateFormatter;
+    }
+
+    return formatters;
+};
+
+export {
+    roundPoint, getRatio, formatNumber, formatPercentage, formatDate, defaultFormatters, createFormatters
+};
@@ -0,0 +1,60 @@
+import { defaultColors } from './graph';
+
+/*
+    Named palettes, "okabeIto", "tolBright", "tolMuted" and "ibm" can be told apart
+    with the common kinds of color blindness
+ */
+const palettes = {
+    default: defaultColors,
+    okabeIto: ['#E69F00', '#56B4E9', '#009E73', '#F0E442', '#0072B2', '#D55E00', '#CC79A7'],
+    tolBright: ['#4477AA', '#EE6677', '#228833', '#CCBB44', '#66CCEE', '#AA3377', '#BBBBBB'],
+    tolMuted: ['#CC6677', '#332288', '#DDCC77', '#117733', '#88CCEE', '#882255', '#44AA99', '#999933', '#AA4499'],
+    ibm: ['#648FFF', '#785EF0', '#DC267F', '#FE6100', '#FFB000']
+};
+
+const getPalette = (palette) => {
+    if (palette instanceof Array) return palette;
+
+    if (!palettes[palette]) {
+        throw new Error(`Palette must be one of: ${Object.keys(palettes).join(', ')}.`);
+    }
+
+    return palettes[palette];
+};
+
+const hashString = (string) => {
+    let hash = 0;
+
+    for (let i = 0; i < string.length; i++) {
+        hash = (hash * 31 + string.charCodeAt(i)) % 2147483647;
+    }
+
+    return hash;
+};
+
+/*
+    Every key prefers the color its hash points to, so a sub-label mostly has the same color in every graph.
+    When that color is taken by another key of the graph, the key takes the next free color of the palette.
+    Keys claim their colors in sorted order, so that the order of the keys does not change their colors.
+    Keys that are null (segments without a sub-label) take the color of their index instead.
+ */
+const assignColors = (keys, palette) => {
+    const slots = {};
+    const used = [];
+
+    keys.filter((key, index) => key !== null && keys.indexOf(key) === index).sort().forEach((key) => {
+        let slot = hashString(key) % palette.length;
+
+        for (let i = 0; i < palette.length && used.indexOf(slot) !== -1; i++) {
+            slot = (slot + 1) % palette.length;
+        }
+        used.push(slot);
+        slots[key] = slot;
+    });
+
+    return keys.map((key, index) => palette[key === null ? index % palette.length : slots[key]]);
+};
+
+export {
+    palettes, getPalette, hashString, assignColors
+};
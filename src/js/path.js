@@ -1,10 +1,42 @@
 import { roundPoint } from './number';
 
-const createCurves = (x1, y1, x2, y2) => ` C${roundPoint((x2 + x1) / 2)},${y1} `
-    + `${roundPoint((x2 + x1) / 2)},${y2} ${x2},${y2}`;
+/*
+    Shapes are drawn along the main axis of the graph, so that the same generator works in both directions:
+    point() turns a main axis and a cross axis coordinate into an "x,y" pair of the SVG.
+ */
+const createPointFormatter = vertical => (main, cross) => (vertical ? `${cross},${main}` : `${main},${cross}`);
+
+const horizontalPoint = createPointFormatter(false);
+const verticalPoint = createPointFormatter(true);
+
+// control points sit at the given fraction of the distance between stages, 0.5 puts both of them in the middle
+const getControlPoints = (m1, m2, tension) => [
+    roundPoint(m1 * (1 - tension) + m2 * tension),
+    roundPoint(m2 * (1 - tension) + m1 * tension)
+];
+
+const createCurvedEdge = (m1, c1, m2, c2, { point, tension }) => {
+    const [control1, control2] = getControlPoints(m1, m2, tension);
+
+    return ` C${point(control1, c1)} ${point(control2, c2)} ${point(m2, c2)}`;
+};
+
+const createCurves = (x1, y1, x2, y2, tension = 0.5) => createCurvedEdge(x1, y1, x2, y2, {
+    point: horizontalPoint, tension
+});
+
+const createVerticalCurves = (x1, y1, x2, y2, tension = 0.5) => createCurvedEdge(y1, x1, y2, x2, {
+    point: verticalPoint, tension
+});
+
+const createLinearEdge = (m1, c1, m2, c2, { point }) => ` L${point(m2, c2)}`;
 
-const createVerticalCurves = (x1, y1, x2, y2) => ` C${x1},${roundPoint((y2 + y1) / 2)} `
-    + `${x2},${roundPoint((y2 + y1) / 2)} ${x2},${y2}`;
+// every stage keeps its size until the next one starts, whichever way the edge is drawn
+const createStepEdge = (m1, c1, m2, c2, { point }) => {
+    const corner = m1 < m2 ? point(m2, c1) : point(m1, c2);
+
+    return ` L${corner} L${point(m2, c2)}`;
+};
 
 /*
     A funnel segment is draw in a clockwise direction.
@@ -22,19 +54,22 @@ const createVerticalCurves = (x1, y1, x2, y2) => ` C${x1},${roundPoint((y2 + y1)
     A#0, A#1, A#2, A#3, B#3, B#2, B#1, B#0, close the path.
 
     Points for path "B" are passed as the YNext param.
+    In a vertical graph the same path goes counter-clockwise.
  */
 
-const createPath = (index, X, Y, YNext) => {
-    let str = `M${X[0]},${Y[0]}`;
+const createSegmentPath = createEdge => (main, cross, crossNext, options) => {
+    const { point } = options;
+    const last = main.length - 1;
+    let str = `M${point(main[0], cross[0])}`;
 
-    for (let i = 0; i < X.length - 1; i++) {
-        str += createCurves(X[i], Y[i], X[i + 1], Y[i + 1]);
+    for (let i = 0; i < last; i++) {
+        str += createEdge(main[i], cross[i], main[i + 1], cross[i + 1], options);
     }
 
-    str += ` L${[...X].pop()},${[...YNext].pop()}`;
+    str += ` L${point(main[last], crossNext[last])}`;
 
-    for (let i = X.length - 1; i > 0; i--) {
-        str += createCurves(X[i], YNext[i], X[i - 1], YNext[i - 1]);
+    for (let i = last; i > 0; i--) {
+        str += createEdge(main[i], crossNext[i], main[i - 1], crossNext[i - 1], options);
     }
 
     str += ' Z';
@@ -42,33 +77,102 @@ const createPath = (index, X, Y, YNext) => {
     return str;
 };
 
+const createLinearPath = createSegmentPath(createLinearEdge);
+
+// the cross axis points of an edge that runs straight from its first point to its last one
+const createStraightEdge = (main, cross) => {
+    const last = main.length - 1;
+    const length = main[last] - main[0];
+
+    return main.map(m => roundPoint(cross[0] + (length ? (cross[last] - cross[0]) * (m - main[0]) / length : 0)));
+};
+
 /*
-    In a vertical path we go counter-clockwise
+    The classic pyramid funnel: both edges run straight from the size of the first stage to the size of the last one,
+    and every stage is a trapezoid sliced out of it, so the stages in between are told apart by their labels
+ */
+const createPyramidPath = (main, cross, crossNext, { point }) => {
+    const start = createStraightEdge(main, cross);
+    const end = createStraightEdge(main, crossNext);
+    const stages = [];
+
+    for (let i = 0; i < main.length - 1; i++) {
+        stages.push(`M${point(main[i], start[i])} L${point(main[i + 1], start[i + 1])}`
+            + ` L${point(main[i + 1], end[i + 1])} L${point(main[i], end[i])} Z`);
+    }
+
+    return stages.join(' ');
+};
 
-    1<----------4
-    |           ^
-    v           |
-    2---------->3
+const shapes = {
+    curved: createSegmentPath(createCurvedEdge),
+    linear: createLinearPath,
+    step: createSegmentPath(createStepEdge),
+    pyramid: createPyramidPath
+};
+
+const builtInShapes = Object.keys(shapes);
+
+const defaultShape = 'curved';
+const defaultCurveTension = 0.5;
+
+/*
+    A shape is a function that receives the main axis points, the cross axis points of both edges of a segment
+    and { index, vertical, tension, center, point }, and returns the "d" attribute of the segment path
  */
+const registerShape = (name, shape) => {
+    if (typeof shape !== 'function') {
+        throw new Error(`Shape "${name}" must be a function`);
+    }
 
-const createVerticalPath = (index, X, XNext, Y) => {
-    let str = `M${X[0]},${Y[0]}`;
+    shapes[name] = shape;
+};
 
-    for (let i = 0; i < X.length - 1; i++) {
-        str += createVerticalCurves(X[i], Y[i], X[i + 1], Y[i + 1]);
+// built-in shapes stay, so that a graph can always fall back to them
+const unregisterShape = (name) => {
+    if (builtInShapes.indexOf(name) !== -1) {
+        throw new Error(`Shape "${name}" is built in and cannot be unregistered`);
     }
 
-    str += ` L${[...XNext].pop()},${[...Y].pop()}`;
+    delete shapes[name];
+};
 
-    for (let i = X.length - 1; i > 0; i--) {
-        str += createVerticalCurves(XNext[i], Y[i], XNext[i - 1], Y[i - 1]);
+const getShape = (name) => {
+    if (typeof shapes[name] !== 'function') {
+        throw new Error(`Shape must be one of: ${Object.keys(shapes).join(', ')}.`);
     }
 
-    str += ' Z';
+    return shapes[name];
+};
 
-    return str;
+const createShapePath = (name, index, main, cross, crossNext, {
+    vertical = false, tension = defaultCurveTension, center = 0
+} = {}) => getShape(name)(main, cross, crossNext, {
+    index, vertical, tension, center, point: createPointFormatter(vertical)
+});
+
+/*
+    Target of a stage, drawn from "main" to "mainNext" at the cross axis coordinates of its size:
+    two lines, or a closed box when "closed" is set
+ */
+const createTargetPath = (main, mainNext, cross, crossNext, { vertical = false, closed = false } = {}) => {
+    const point = vertical ? verticalPoint : horizontalPoint;
+
+    if (closed) {
+        return `M${point(main, cross)} L${point(mainNext, cross)} L${point(mainNext, crossNext)}`
+            + ` L${point(main, crossNext)} Z`;
+    }
+
+    return `M${point(main, cross)} L${point(mainNext, cross)} M${point(main, crossNext)} L${point(mainNext, crossNext)}`;
 };
 
+const createPath = (index, X, Y, YNext) => createShapePath(defaultShape, index, X, Y, YNext);
+
+const createVerticalPath = (index, X, XNext, Y) => createShapePath(defaultShape, index, Y, X, XNext, {
+    vertical: true
+});
+
 export {
-    createCurves, createVerticalCurves, createPath, createVerticalPath
+    createCurves, createVerticalCurves, createPath, createVerticalPath, createShapePath, registerShape, unregisterShape,
+    getShape, defaultShape, defaultCurveTension, createTargetPath
 };
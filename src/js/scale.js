@@ -0,0 +1,50 @@
+import { getRatio } from './number';
+
+const scales = {
+    linear: value => value,
+    sqrt: value => Math.sqrt(value),
+    // shifted by one, so that zero stays zero and values below one are not negative
+    log: value => Math.log10(value + 1)
+};
+
+const scaleNotes = {
+    sqrt: 'Square root scale',
+    log: 'Logarithmic scale'
+};
+
+const getScale = (scale) => {
+    if (!scales[scale]) {
+        throw new Error(`Scale must be one of: ${Object.keys(scales).join(', ')}.`);
+    }
+
+    return scales[scale];
+};
+
+// minimum size is a fraction of the available size when it is below 1, and a number of pixels otherwise
+const getMinRatio = (minSize, available) => {
+    if (!minSize) return 0;
+
+    return minSize < 1 ? minSize : Math.min(1, getRatio(minSize, available));
+};
+
+/*
+    Ratio of the value to the max on the scale,
+    values that are not zero are raised to the minimum ratio, so that they stay visible
+ */
+const getScaledRatio = (value, max, scale = 'linear', minRatio = 0) => {
+    const transform = getScale(scale);
+    const ratio = getRatio(transform(value), transform(max));
+
+    return value > 0 ? Math.max(ratio, minRatio) : ratio;
+};
+
+// note shown on graphs whose sizes are not proportional to their values
+const getScaleNote = (scale, isFloored) => {
+    if (scaleNotes[scale]) return scaleNotes[scale];
+
+    return isFloored ? 'Not to scale' : null;
+};
+
+export {
+    scales, getScale, getMinRatio, getScaledRatio, getScaleNote
+};
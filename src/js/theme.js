@@ -0,0 +1,78 @@
+import { defaultColors } from './graph';
+
+/*
+    A theme is a palette for the segments, and the colors and fonts of everything around them.
+    Everything but the palette is set on the container as CSS custom properties,
+    e.g. "title" becomes --svg-funnel-js-title, which the stylesheet uses.
+ */
+const themes = {
+    dark: {
+        palette: defaultColors,
+        fontFamily: '"Open Sans", sans-serif',
+        background: 'transparent',
+        value: '#FFFFFF',
+        title: '#21FFA2',
+        percentage: '#9896DC',
+        text: '#FFFFFF',
+        accent: '#05DF9D',
+        negative: '#FF6B6B',
+        surface: 'rgba(8, 7, 48, 0.8)'
+    },
+    light: {
+        palette: ['#3366CC', '#DC3912', '#FF9900', '#109618', '#990099',
+            '#0099C6', '#DD4477', '#66AA00', '#B82E2E', '#316395'],
+        fontFamily: '"Open Sans", sans-serif',
+        background: '#FFFFFF',
+        value: '#1F2937',
+        title: '#0F766E',
+        percentage: '#6D28D9',
+        text: '#374151',
+        accent: '#047857',
+        negative: '#B91C1C',
+        surface: 'rgba(255, 255, 255, 0.95)'
+    },
+    highContrast: {
+        palette: ['#FFFF00', '#00FFFF', '#FF00FF', '#00FF00', '#FFFFFF', '#FF8000'],
+        fontFamily: '"Open Sans", sans-serif',
+        background: '#000000',
+        value: '#FFFFFF',
+        title: '#FFFF00',
+        percentage: '#00FFFF',
+        text: '#FFFFFF',
+        accent: '#00FF00',
+        negative: '#FF3333',
+        surface: '#000000'
+    }
+};
+
+const defaultTheme = 'dark';
+
+/*
+    A theme is either the name of a built-in theme, or an object overriding one of them,
+    chosen by its "base" (the dark theme by default)
+ */
+const getTheme = (theme = defaultTheme) => {
+    const options = typeof theme === 'string' ? { base: theme } : theme;
+    const base = options.base || defaultTheme;
+
+    if (!themes[base]) {
+        throw new Error(`Theme must be one of: ${Object.keys(themes).join(', ')}.`);
+    }
+
+    const resolved = Object.assign({}, themes[base], options);
+    delete resolved.base;
+
+    return resolved;
+};
+
+const toKebabCase = name => name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+
+const getThemeProperties = theme => Object.keys(theme)
+    .filter(name => name !== 'palette')
+    .reduce((properties, name) => Object.assign(properties, {
+        [`--svg-funnel-js-${toKebabCase(name)}`]: theme[name]
+    }), {});
+
+export {
+    themes, defaultTheme, getTheme, getThemeProperties
+};
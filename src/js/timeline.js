@@ -0,0 +1,32 @@
+const defaultPlayback = {
+    interval: 1000,
+    loop: false
+};
+
+/*
+    A timeline is a list of snapshots of the funnel, e.g. one per day: [{ date, values }].
+    Frames share the labels, sub-labels, targets and compared funnel of the data.
+ */
+const getFrames = (timeline) => {
+    if (typeof timeline === 'undefined' || timeline === null) return null;
+
+    if (!(timeline instanceof Array) || timeline.length === 0
+        || !timeline.every(frame => frame && frame.values instanceof Array)) {
+        throw new Error('Timeline must be a non-empty array of frames with values.');
+    }
+
+    return timeline;
+};
+
+const isFrameIndex = (index, frames) => Number.isInteger(index) && index >= 0 && index < frames.length;
+
+// the frame after the last one is the first one when the playback loops, otherwise there is none
+const getNextFrameIndex = (index, size, loop = false) => {
+    if (index < size - 1) return index + 1;
+
+    return loop ? 0 : null;
+};
+
+export {
+    defaultPlayback, getFrames, isFrameIndex, getNextFrameIndex
+};
@@ -0,0 +1,49 @@
+import { escapeXML } from './markup';
+
+const createTooltipContent = (context) => {
+    let content = `<div class="tooltip__title">${escapeXML(context.label)}</div>`;
+
+    if (context.subLabel !== null) {
+        content += `<div class="tooltip__subLabel">${escapeXML(context.subLabel)}</div>`;
+    }
+
+    content += `<div class="tooltip__value">${escapeXML(context.formatted.value)}</div>`;
+
+    if (context.subLabel !== null) {
+        content += `<div class="tooltip__percentage">${escapeXML(context.formatted.percentageOfStage)} of stage</div>`;
+    }
+
+    content += `<div class="tooltip__percentage">${escapeXML(context.formatted.percentageOfTop)} of top stage</div>`;
+
+    if (context.formatted.delta) {
+        content += `<div class="tooltip__delta">${escapeXML(context.formatted.delta)}</div>`;
+    }
+
+    if (context.formatted.target) {
+        content += `<div class="tooltip__target tooltip__target--${context.targetStatus}">`
+            + `${escapeXML(context.formatted.target)}</div>`;
+    }
+
+    return content;
+};
+
+/*
+    Tooltip is placed next to the pointer, and flipped to the other side of it
+    when it would overflow the right or the bottom edge of its container
+ */
+const getTooltipPosition = (pointer, tooltip, container, offset = 12) => {
+    let left = pointer.x + offset;
+    let top = pointer.y + offset;
+
+    if (left + tooltip.width > container.width) {
+        left = Math.max(0, pointer.x - offset - tooltip.width);
+    }
+
+    if (top + tooltip.height > container.height) {
+        top = Math.max(0, pointer.y - offset - tooltip.height);
+    }
+
+    return { left, top };
+};
+
+export { createTooltipContent, getTooltipPosition };
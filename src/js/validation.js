@@ -0,0 +1,225 @@
+class ValidationError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+
+        this.name = 'ValidationError';
+        this.code = details.code;
+        this.stageIndex = typeof details.stageIndex === 'number' ? details.stageIndex : null;
+        this.subLabelIndex = typeof details.subLabelIndex === 'number' ? details.subLabelIndex : null;
+        this.stage = typeof details.stage === 'undefined' ? null : details.stage;
+        this.subLabel = typeof details.subLabel === 'undefined' ? null : details.subLabel;
+    }
+}
+
+// without data or values there is nothing to draw, so these are thrown in every mode
+const fatalErrorCodes = ['MISSING_DATA', 'MISSING_VALUES'];
+
+const isFatalError = error => fatalErrorCodes.indexOf(error.code) !== -1;
+
+const isNumeric = (value) => {
+    if (typeof value === 'number') return Number.isFinite(value);
+    if (typeof value === 'string') return value.trim() !== '' && Number.isFinite(Number(value));
+
+    return false;
+};
+
+const describeStage = (labels, stageIndex) => (typeof labels[stageIndex] !== 'undefined'
+    ? `stage "${labels[stageIndex]}" (index ${stageIndex})`
+    : `stage at index ${stageIndex}`);
+
+const describeSubLabel = (subLabels, subLabelIndex) => (typeof subLabels[subLabelIndex] !== 'undefined'
+    ? `sub-label "${subLabels[subLabelIndex]}" (index ${subLabelIndex})`
+    : `sub-label at index ${subLabelIndex}`);
+
+// a target is a value, or a percentage in terms of the percent mode of the graph, e.g. "40%"
+const isPercentage = value => typeof value === 'string' && /%$/.test(value.trim())
+    && isNumeric(value.trim().slice(0, -1));
+
+const resize = (list, length, filler) => {
+    const resized = list.slice(0, length);
+
+    while (resized.length < length) resized.push(filler);
+
+    return resized;
+};
+
+/*
+    Checks the data and collects every problem it finds, naming the offending stage and sub-label.
+    Alongside the errors it returns the sanitized data, used in lenient mode:
+    numeric strings are converted to numbers, anything else that is not a number becomes 0,
+    negative numbers are clamped to 0, and rows of a two-dimensional graph, labels and sub-labels
+    are padded or truncated to match the values.
+ */
+const inspectData = (data) => {
+    const errors = [];
+
+    if (!data || typeof data !== 'object') {
+        errors.push(new ValidationError('Data is missing', { code: 'MISSING_DATA' }));
+        return { errors, data };
+    }
+
+    if (!(data.values instanceof Array) || data.values.length === 0) {
+        errors.push(new ValidationError('Data must contain a non-empty array of values', { code: 'MISSING_VALUES' }));
+        return { errors, data };
+    }
+
+    const labels = data.labels instanceof Array ? data.labels : [];
+    const subLabels = data.subLabels instanceof Array ? data.subLabels : [];
+    const is2d = data.values.some(row => row instanceof Array);
+    const rowLength = is2d ? (data.values.filter(row => row instanceof Array)[0]).length : 0;
+
+    const sanitizeValue = (value, stageIndex, subLabelIndex) => {
+        const details = {
+            stageIndex,
+            subLabelIndex,
+            stage: typeof labels[stageIndex] === 'undefined' ? null : labels[stageIndex],
+            subLabel: typeof subLabelIndex === 'number' && typeof subLabels[subLabelIndex] !== 'undefined'
+                ? subLabels[subLabelIndex]
+                : null
+        };
+        const location = typeof subLabelIndex === 'number'
+            ? `${describeStage(labels, stageIndex)}, ${describeSubLabel(subLabels, subLabelIndex)}`
+            : describeStage(labels, stageIndex);
+
+        if (typeof value !== 'number') {
+            errors.push(new ValidationError(
+                `Value of ${location} must be a number, got ${JSON.stringify(value)}`,
+                Object.assign({ code: 'INVALID_VALUE' }, details)
+            ));
+        } else if (!Number.isFinite(value)) {
+            errors.push(new ValidationError(
+                `Value of ${location} must be a finite number, got ${value}`,
+                Object.assign({ code: 'INVALID_VALUE' }, details)
+            ));
+        }
+
+        const number = isNumeric(value) ? Number(value) : 0;
+
+        if (number < 0) {
+            errors.push(new ValidationError(
+                `Value of ${location} must not be negative, got ${number}`,
+                Object.assign({ code: 'NEGATIVE_VALUE' }, details)
+            ));
+            return 0;
+        }
+
+        return number;
+    };
+
+    const values = data.values.map((row, stageIndex) => {
+        if (!is2d) return sanitizeValue(row, stageIndex);
+
+        let cells = row;
+
+        if (!(row instanceof Array)) {
+            errors.push(new ValidationError(
+                `Values of ${describeStage(labels, stageIndex)} must be an array in a two-dimensional graph`,
+                { code: 'RAGGED_VALUES', stageIndex, stage: labels[stageIndex] }
+            ));
+            cells = [row];
+        } else if (row.length !== rowLength) {
+            errors.push(new ValidationError(
+                `${describeStage(labels, stageIndex)} has ${row.length} values, expected ${rowLength}`,
+                { code: 'RAGGED_VALUES', stageIndex, stage: labels[stageIndex] }
+            ));
+        }
+
+        return resize(cells, rowLength, 0).map((value, subLabelIndex) => sanitizeValue(
+            value, stageIndex, subLabelIndex
+        ));
+    });
+
+    const sanitizedData = Object.assign({}, data, { values });
+
+    if (data.labels instanceof Array && labels.length !== values.length) {
+        errors.push(new ValidationError(
+            `There are ${labels.length} labels for ${values.length} stages`,
+            { code: 'LABELS_MISMATCH' }
+        ));
+        sanitizedData.labels = resize(labels, values.length, '');
+    }
+
+    if (is2d && data.subLabels instanceof Array && subLabels.length !== rowLength) {
+        errors.push(new ValidationError(
+            `There are ${subLabels.length} sub-labels for ${rowLength} values in each stage`,
+            { code: 'SUB_LABELS_MISMATCH' }
+        ));
+        sanitizedData.subLabels = resize(subLabels, rowLength, '');
+    }
+
+    if (data.compare) {
+        const compareValues = data.compare.values instanceof Array ? data.compare.values : [];
+
+        if (compareValues.length !== values.length) {
+            errors.push(new ValidationError(
+                `There are ${compareValues.length} compare values for ${values.length} stages`,
+                { code: 'COMPARE_MISMATCH' }
+            ));
+        }
+
+        sanitizedData.compare = Object.assign({}, data.compare, {
+            values: resize(compareValues, values.length, 0).map((value, stageIndex) => {
+                const location = describeStage(labels, stageIndex);
+
+                if (typeof value !== 'number' || !Number.isFinite(value)) {
+                    errors.push(new ValidationError(
+                        `Compare value of ${location} must be a number, got ${JSON.stringify(value)}`,
+                        { code: 'INVALID_VALUE', stageIndex, stage: labels[stageIndex] }
+                    ));
+                }
+
+                const number = isNumeric(value) ? Number(value) : 0;
+
+                if (number < 0) {
+                    errors.push(new ValidationError(
+                        `Compare value of ${location} must not be negative, got ${number}`,
+                        { code: 'NEGATIVE_VALUE', stageIndex, stage: labels[stageIndex] }
+                    ));
+                    return 0;
+                }
+
+                return number;
+            })
+        });
+    }
+
+    if (data.targets) {
+        const options = data.targets instanceof Array ? { values: data.targets } : data.targets;
+        const targets = options.values instanceof Array ? options.values : [];
+
+        if (targets.length !== values.length) {
+            errors.push(new ValidationError(
+                `There are ${targets.length} targets for ${values.length} stages`,
+                { code: 'TARGETS_MISMATCH' }
+            ));
+        }
+
+        // stages without a target are null
+        sanitizedData.targets = Object.assign({}, options, {
+            values: resize(targets, values.length, null).map((target, stageIndex) => {
+                if (target === null || isPercentage(target)) return target;
+
+                const number = typeof target === 'number' && Number.isFinite(target) ? target : NaN;
+
+                if (!(number >= 0)) {
+                    errors.push(new ValidationError(
+                        `Target of ${describeStage(labels, stageIndex)} must be a number that is not negative`
+                            + ` or a percentage, got ${JSON.stringify(target)}`,
+                        { code: 'INVALID_VALUE', stageIndex, stage: labels[stageIndex] }
+                    ));
+                    return null;
+                }
+
+                return number;
+            })
+        });
+    }
+
+    return { errors, data: sanitizedData };
+};
+
+const validateData = data => inspectData(data).errors;
+
+export {
+    ValidationError, isFatalError, isNumeric, isPercentage, inspectData, validateData
+};
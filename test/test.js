@@ -1,12 +1,209 @@
 /* eslint-disable no-undef */
-import { roundPoint, formatNumber } from '../src/js/number';
-import { createCurves, createVerticalCurves, createPath } from '../src/js/path';
-import { generateLegendBackground, areEqual } from '../src/js/graph';
+import {
+    roundPoint, formatNumber, formatDate, createFormatters
+} from '../src/js/number';
+import {
+    createCurves, createVerticalCurves, createPath, createShapePath
+} from '../src/js/path';
+import {
+    generateLegendBackground, areEqual, getStageClipRects, getSegmentPaths
+} from '../src/js/graph';
+import { escapeXML, createSVGString } from '../src/js/markup';
+import {
+    easings, interpolatePoints, resizePoints, getEasing
+} from '../src/js/animation';
+import { createTooltipContent, getTooltipPosition } from '../src/js/tooltip';
+import {
+    createMetrics, formatDropOff, createDeltas, formatDelta, createTargets, formatTarget
+} from '../src/js/metrics';
+import { describeStage, createSummary, getNextFocusIndex } from '../src/js/accessibility';
 import generateRandomIdString from '../src/js/random';
+import debounce from '../src/js/debounce';
+import { normalizeData } from '../src/js/data';
+import { themes, getTheme, getThemeProperties } from '../src/js/theme';
+import { palettes, getPalette, assignColors } from '../src/js/palette';
+import { getMinRatio, getScaledRatio, getScaleNote } from '../src/js/scale';
+import { getFrames, getNextFrameIndex } from '../src/js/timeline';
+import { truncateText, wrapText, rectsOverlap } from '../src/js/labels';
+import { getImageMimeType, getFileExtension, svgToDataURL } from '../src/js/export';
 import FunnelGraph from '../index';
 
 const assert = require('assert');
 
+/*
+    Just enough of a DOM to draw a graph in Node: elements with attributes, children, classes,
+    styles and listeners, markup of tags with quoted attributes, and selectors by tag, class and id
+ */
+const voidElements = ['input', 'br', 'img'];
+
+class FakeElement {
+    constructor(nodeName) {
+        this.nodeName = nodeName;
+        this.attributes = {};
+        this.children = [];
+        this.parentNode = null;
+        this.listeners = [];
+        this.textContent = '';
+        // styles and classes are array-like, like CSSStyleDeclaration and DOMTokenList
+        this.style = Object.assign([], {
+            setProperty(name) {
+                if (this.indexOf(name) === -1) this.push(name);
+            },
+            removeProperty(name) {
+                if (this.indexOf(name) !== -1) this.splice(this.indexOf(name), 1);
+            }
+        });
+    }
+
+    get classList() {
+        const classes = (this.getAttribute('class') || '').split(' ').filter(Boolean);
+        const set = names => this.setAttribute('class', names.join(' '));
+        const contains = name => classes.indexOf(name) !== -1;
+
+        return Object.assign(classes, {
+            contains,
+            add: (...names) => set(classes.concat(names.filter(name => !contains(name)))),
+            remove: name => set(classes.filter(className => className !== name)),
+            toggle: (name, force = !contains(name)) => set(force
+                ? classes.concat(contains(name) ? [] : name)
+                : classes.filter(className => className !== name))
+        });
+    }
+
+    // tags become child elements and the text between them the text of the open element
+    set innerHTML(html) {
+        this.children.slice().forEach(child => child.remove());
+        this.textContent = '';
+
+        const open = [this];
+        const tokens = /<(\/?)([\w-]+)((?:\s+[\w:-]+="[^"]*")*)\s*(\/?)>|([^<]+)/g;
+        let token = tokens.exec(html);
+
+        while (token) {
+            const [, closing, name, attributes, selfClosing, text] = token;
+            const parent = open[open.length - 1];
+
+            if (typeof text !== 'undefined') {
+                parent.textContent += text.trim();
+            } else if (closing) {
+                open.pop();
+            } else {
+                const element = parent.appendChild(new FakeElement(name));
+                (attributes.match(/[\w:-]+="[^"]*"/g) || []).forEach((attribute) => {
+                    const [attributeName, value] = attribute.split(/="/);
+                    element.setAttribute(attributeName, value.slice(0, -1));
+                });
+                if (!selfClosing && voidElements.indexOf(name) === -1) open.push(element);
+            }
+
+            token = tokens.exec(html);
+        }
+    }
+
+    get firstChild() { return this.children[0] || null; }
+
+    get lastElementChild() { return this.children[this.children.length - 1] || null; }
+
+    get nextSibling() {
+        return this.parentNode ? this.parentNode.children[this.parentNode.children.indexOf(this) + 1] || null : null;
+    }
+
+    setAttribute(name, value) { this.attributes[name] = String(value); }
+
+    getAttribute(name) { return name in this.attributes ? this.attributes[name] : null; }
+
+    removeAttribute(name) { delete this.attributes[name]; }
+
+    appendChild(child) { return this.insertBefore(child, null); }
+
+    insertBefore(child, reference) {
+        if (child.parentNode) child.remove();
+        const index = reference ? this.children.indexOf(reference) : -1;
+        this.children.splice(index === -1 ? this.children.length : index, 0, child);
+        child.parentNode = this;
+        return child;
+    }
+
+    removeChild(child) {
+        this.children.splice(this.children.indexOf(child), 1);
+        child.parentNode = null;
+        return child;
+    }
+
+    replaceChild(child, replaced) {
+        this.insertBefore(child, replaced);
+        return this.removeChild(replaced);
+    }
+
+    isEqualNode(other) {
+        return this.nodeName === other.nodeName && this.textContent === other.textContent
+            && JSON.stringify(this.attributes) === JSON.stringify(other.attributes)
+            && this.children.length === other.children.length
+            && this.children.every((child, index) => child.isEqualNode(other.children[index]));
+    }
+
+    remove() {
+        if (this.parentNode) this.parentNode.removeChild(this);
+    }
+
+    addEventListener(type, handler) { this.listeners.push({ type, handler }); }
+
+    removeEventListener(type, handler) {
+        this.listeners = this.listeners.filter(listener => listener.type !== type || listener.handler !== handler);
+    }
+
+    matches(selector) {
+        return selector.split(',').map(part => part.trim()).some((part) => {
+            if (part[0] === '.') return this.classList.contains(part.slice(1));
+            const id = part.match(/^\[id="(.*)"\]$/);
+            if (id) return this.getAttribute('id') === id[1];
+            return this.nodeName === part;
+        });
+    }
+
+    querySelectorAll(selector) {
+        return this.children.reduce((found, child) => found.concat(
+            child.matches(selector) ? [child] : [], child.querySelectorAll(selector)
+        ), []);
+    }
+
+    querySelector(selector) {
+        return this.querySelectorAll(selector)[0] || null;
+    }
+
+    closest(selector) {
+        if (this.matches(selector)) return this;
+
+        return this.parentNode && this.parentNode.closest ? this.parentNode.closest(selector) : null;
+    }
+}
+
+// the event goes up from its target through the listeners of every ancestor, like a bubbling DOM event
+const dispatchFakeEvent = (target, type) => {
+    const event = { type, target, preventDefault() {} };
+
+    for (let element = target; element; element = element.parentNode) {
+        element.listeners.filter(listener => listener.type === type).forEach(({ handler }) => handler(event));
+    }
+};
+
+// the callback draws into fake elements, the globals are restored afterwards
+const withFakeDocument = (callback) => {
+    const globals = { document: global.document, HTMLElement: global.HTMLElement };
+    global.HTMLElement = FakeElement;
+    global.document = {
+        createElement: name => new FakeElement(name),
+        createElementNS: (namespace, name) => new FakeElement(name)
+    };
+
+    try {
+        callback();
+    } finally {
+        global.document = globals.document;
+        global.HTMLElement = globals.HTMLElement;
+    }
+};
+
 describe('Check randomly generated ids', () => {
     const generatedIds = [];
     it('don\'t collide often', () => {
@@ -41,6 +238,37 @@ describe('Test number functions', () => {
     it('number format test', () => {
         assert.equal(formatNumber(12500), '12,500');
     });
+
+    it('formats decimal and negative numbers', () => {
+        assert.equal(formatNumber(1234.5678), '1,234.5678');
+        assert.equal(formatNumber(-1234567), '-1,234,567');
+        assert.equal(formatNumber(0.25), '0.25');
+    });
+
+    it('can format numbers with a locale', () => {
+        const formatters = createFormatters('de-DE');
+        assert.equal(formatters.value(1234567.5), '1.234.567,5');
+        assert.equal(formatters.percent(47.5), '47,5\u00A0%');
+    });
+
+    it('can format numbers with Intl options', () => {
+        const formatters = createFormatters({
+            locale: 'en-US',
+            options: { notation: 'compact', maximumFractionDigits: 1 }
+        });
+        assert.equal(formatters.value(12500), '12.5K');
+        assert.equal(formatters.percent(3), '3%');
+    });
+
+    it('can format numbers with custom formatters', () => {
+        const formatters = createFormatters({
+            valueFormatter: value => `$${value}`,
+            percentFormatter: percentage => `${percentage} pct`
+        });
+        assert.equal(formatters.value(10), '$10');
+        assert.equal(formatters.percent(10), '10 pct');
+        assert.equal(createFormatters().value(1000), '1,000');
+    });
 });
 
 describe('Add tests for paths', () => {
@@ -176,3 +404,1527 @@ describe('Add tests for paths', () => {
         ]);
     });
 });
+
+describe('Add tests for headless rendering', () => {
+    const data = {
+        labels: ['Impressions', 'Add To Cart', 'Buy & Pay'],
+        colors: ['orange', 'red'],
+        values: [12000, 5700, 360]
+    };
+
+    it('can escape markup', () => {
+        assert.equal(escapeXML('<a href="#">Tom & Jerry</a>'), '&lt;a href=&quot;#&quot;&gt;Tom &amp; Jerry&lt;/a&gt;');
+    });
+
+    it('can create SVG element strings', () => {
+        assert.equal(createSVGString('path', { d: 'M0,0', fill: 'red' }), '<path d="M0,0" fill="red"/>');
+        assert.equal(createSVGString('g', { class: 'a' }, ['<path/>', '<text>b</text>']), '<g class="a"><path/><text>b</text></g>');
+    });
+
+    it('requires dimensions when rendering without a container', () => {
+        assert.throws(() => new FunnelGraph({ data }).renderToString(), /Width and height are required/);
+    });
+
+    it('can render a complete SVG string', () => {
+        const svg = FunnelGraph.renderFunnelSVG({
+            data, width: 300, height: 100, displayPercent: true
+        });
+
+        assert.equal(svg.indexOf('<svg xmlns="http://www.w3.org/2000/svg"'), 0);
+        assert.equal(svg.match(/<path /g).length, 1);
+        assert.equal(svg.match(/<stop /g).length, 2);
+        assert.notEqual(svg.indexOf('>Buy &amp; Pay</text>'), -1);
+        assert.notEqual(svg.indexOf('>12,000</text>'), -1);
+        assert.notEqual(svg.indexOf('>47.5%</text>'), -1);
+    });
+});
+
+describe('Add tests for animations', () => {
+    it('can interpolate between sets of points', () => {
+        assert.deepEqual(interpolatePoints([[0, 10], [20, 20]], [[10, 20], [0, 30]], 0.5), [[5, 15], [10, 25]]);
+    });
+
+    it('can pad points when the number of stages or sub-segments changes', () => {
+        assert.deepEqual(resizePoints([[0, 10, 10], [30, 20, 20]], 3, 4), [
+            [0, 10, 10, 10],
+            [30, 20, 20, 20],
+            [30, 20, 20, 20]
+        ]);
+    });
+
+    it('resolves easings by name and falls back to the default one', () => {
+        assert.strictEqual(getEasing('linear'), easings.linear);
+        assert.strictEqual(getEasing('unknown'), easings.easeInOutCubic);
+        Object.keys(easings).forEach((name) => {
+            assert.equal(easings[name](0), 0);
+            assert.equal(easings[name](1), 1);
+        });
+    });
+
+    it('normalizes the animation option', () => {
+        const data = { values: [3, 2, 1] };
+        assert.strictEqual(new FunnelGraph({ data }).animation, null);
+        assert.deepEqual(new FunnelGraph({ data, animation: true }).animation, {
+            duration: 400, easing: 'easeInOutCubic'
+        });
+        assert.deepEqual(new FunnelGraph({ data, animation: { duration: 1000 } }).animation, {
+            duration: 1000, easing: 'easeInOutCubic'
+        });
+    });
+});
+
+describe('Add tests for tooltips', () => {
+    const graph = new FunnelGraph({
+        data: {
+            labels: ['Impressions', 'Add To Cart', 'Buy'],
+            subLabels: ['Direct', 'Ads'],
+            values: [[3000, 1000], [1500, 500], [300, 100]]
+        },
+        width: 300,
+        height: 100,
+        tooltip: true
+    });
+
+    it('can find the stage under the pointer', () => {
+        assert.equal(graph.getStageIndexAt(0), 0);
+        assert.equal(graph.getStageIndexAt(150), 1);
+        assert.equal(graph.getStageIndexAt(300), 2);
+    });
+
+    it('can describe a stage and a segment', () => {
+        assert.deepEqual(graph.getSegmentContext(1), {
+            stageIndex: 1,
+            subLabelIndex: null,
+            label: 'Add To Cart',
+            subLabel: null,
+            value: 2000,
+            stageValue: 2000,
+            percentageOfStage: 100,
+            percentageOfTop: 50,
+            formatted: {
+                value: '2,000',
+                stageValue: '2,000',
+                percentageOfStage: '100%',
+                percentageOfTop: '50%'
+            }
+        });
+        assert.deepEqual(graph.getSegmentContext(1, 1), {
+            stageIndex: 1,
+            subLabelIndex: 1,
+            label: 'Add To Cart',
+            subLabel: 'Ads',
+            value: 500,
+            stageValue: 2000,
+            percentageOfStage: 25,
+            percentageOfTop: 12.5,
+            formatted: {
+                value: '500',
+                stageValue: '2,000',
+                percentageOfStage: '25%',
+                percentageOfTop: '12.5%'
+            }
+        });
+    });
+
+    it('renders default tooltip content', () => {
+        assert.equal(createTooltipContent(graph.getSegmentContext(0, 0)), '<div class="tooltip__title">Impressions</div>'
+            + '<div class="tooltip__subLabel">Direct</div><div class="tooltip__value">3,000</div>'
+            + '<div class="tooltip__percentage">75% of stage</div><div class="tooltip__percentage">75% of top stage</div>');
+    });
+
+    it('keeps the tooltip inside of its container', () => {
+        const tooltip = { width: 100, height: 50 };
+        const container = { width: 300, height: 100 };
+        assert.deepEqual(getTooltipPosition({ x: 10, y: 10 }, tooltip, container), { left: 22, top: 22 });
+        assert.deepEqual(getTooltipPosition({ x: 250, y: 80 }, tooltip, container), { left: 138, top: 18 });
+    });
+});
+
+describe('Add tests for events', () => {
+    const graph = new FunnelGraph({ data: { values: [3, 2, 1] } });
+
+    it('can add and remove event handlers', () => {
+        const calls = [];
+        const handler = payload => calls.push(payload);
+
+        graph.on('segmentClick', handler).on('stageClick', handler);
+        graph.emit('segmentClick', 1);
+        graph.emit('stageClick', 2);
+        graph.off('segmentClick', handler);
+        graph.emit('segmentClick', 3);
+        graph.emit('stageClick', 4);
+        graph.off();
+        graph.emit('stageClick', 5);
+
+        assert.deepEqual(calls, [1, 2, 4]);
+    });
+
+    it('requires handlers to be functions', () => {
+        assert.throws(() => graph.on('draw', null), /must be a function/);
+    });
+});
+
+describe('Add tests for conversion metrics', () => {
+    const data = {
+        labels: ['Impressions', 'Add To Cart', 'Buy'],
+        values: [8000, 10000, 2500]
+    };
+
+    it('can calculate stage metrics', () => {
+        assert.deepEqual(createMetrics([8000, 10000, 2500]), [{
+            value: 8000,
+            percentageOfMax: 80,
+            percentageOfFirst: 100,
+            percentageOfPrevious: 100,
+            dropOff: 0,
+            dropOffPercentage: 0
+        }, {
+            value: 10000,
+            percentageOfMax: 100,
+            percentageOfFirst: 125,
+            percentageOfPrevious: 125,
+            dropOff: -2000,
+            dropOffPercentage: -25
+        }, {
+            value: 2500,
+            percentageOfMax: 25,
+            percentageOfFirst: 31.3,
+            percentageOfPrevious: 25,
+            dropOff: 7500,
+            dropOffPercentage: 75
+        }]);
+    });
+
+    it('handles stages with zero values', () => {
+        assert.deepEqual(createMetrics([0, 0]).map(metric => metric.percentageOfPrevious), [100, 0]);
+    });
+
+    it('can format drop-off', () => {
+        assert.equal(formatDropOff(createMetrics([10000, 2500])[1]), '-7,500 (-75%)');
+        assert.equal(formatDropOff(createMetrics([8000, 10000])[1]), '+2,000 (+25%)');
+    });
+
+    it('calculates percentages according to the percent mode', () => {
+        assert.deepEqual(new FunnelGraph({ data }).percentages, [80, 100, 25]);
+        assert.deepEqual(new FunnelGraph({ data, percentMode: 'ofFirst' }).percentages, [100, 125, 31.3]);
+        assert.deepEqual(new FunnelGraph({ data, percentMode: 'ofPrevious' }).percentages, [100, 125, 25]);
+        assert.throws(() => new FunnelGraph({ data, percentMode: 'ofTotal' }), /Percent mode must be one of/);
+    });
+
+    it('exposes labelled metrics', () => {
+        const metrics = new FunnelGraph({ data }).getMetrics();
+        assert.equal(metrics[2].label, 'Buy');
+        assert.equal(metrics[2].percentageOfPrevious, 25);
+    });
+});
+
+describe('Add tests for series visibility', () => {
+    const data = {
+        labels: ['Impressions', 'Add To Cart', 'Buy'],
+        subLabels: ['Direct', 'Social Media', 'Ads'],
+        values: [
+            [2000, 4000, 6000],
+            [3000, 1000, 1700],
+            [800, 300, 130]
+        ]
+    };
+
+    it('can start with hidden series', () => {
+        const graph = new FunnelGraph({
+            data, width: 90, height: 60, hiddenSeries: ['Social Media']
+        });
+
+        assert.deepEqual(graph.hiddenSeries, [1]);
+        assert.deepEqual(graph.getValues2d(), [8000, 4700, 930]);
+        assert.deepEqual(graph.getPercentages2d()[0], [25, 0, 75]);
+        assert.deepEqual(graph.percentages, [100, 58.8, 11.6]);
+
+        const points = graph.getCrossAxisPoints();
+        assert.deepEqual(points[1], points[2]);
+    });
+
+    it('can toggle series visibility', () => {
+        const graph = new FunnelGraph({ data, width: 90, height: 60 });
+
+        assert.strictEqual(graph.setSeriesVisibility(0, false), true);
+        assert.strictEqual(graph.setSeriesVisibility(2, false), true);
+        assert.deepEqual(graph.getValues2d(), [4000, 1000, 300]);
+        // the last visible series cannot be hidden
+        assert.strictEqual(graph.setSeriesVisibility(1, false), false);
+        assert.strictEqual(graph.setSeriesVisibility(0, true), true);
+        assert.deepEqual(graph.hiddenSeries, [2]);
+    });
+});
+
+describe('Add tests for responsive graphs', () => {
+    it('debounces calls', (done) => {
+        const calls = [];
+        const debounced = debounce(value => calls.push(value), 10);
+
+        debounced(1);
+        debounced(2);
+        debounced(3);
+
+        setTimeout(() => {
+            assert.deepEqual(calls, [3]);
+            done();
+        }, 30);
+    });
+
+    it('can cancel debounced calls', (done) => {
+        const calls = [];
+        const debounced = debounce(value => calls.push(value), 10);
+
+        debounced(1);
+        debounced.cancel();
+
+        setTimeout(() => {
+            assert.deepEqual(calls, []);
+            done();
+        }, 30);
+    });
+
+    it('normalizes the responsive option', () => {
+        const data = { values: [3, 2, 1] };
+        assert.strictEqual(new FunnelGraph({ data }).responsive, false);
+        assert.strictEqual(new FunnelGraph({ data, responsive: true }).responsive, 'resize');
+        assert.strictEqual(new FunnelGraph({ data, responsive: 'viewBox' }).responsive, 'viewBox');
+    });
+});
+
+describe('Add tests for teardown', () => {
+    it('can be destroyed before it is drawn', () => {
+        const graph = new FunnelGraph({ data: { values: [3, 2, 1] } });
+        const calls = [];
+
+        graph.on('destroy', () => calls.push('destroy'));
+        graph.on('draw', () => calls.push('draw'));
+        graph.destroy();
+        graph.emit('draw');
+
+        assert.deepEqual(calls, ['destroy']);
+        assert.strictEqual(graph.graphContainer, null);
+    });
+
+    it('replaces the graph when it is drawn again and leaves a clean container when destroyed', () => {
+        withFakeDocument(() => {
+            const container = new FakeElement('div');
+            const graph = new FunnelGraph({
+                container,
+                width: 200,
+                height: 100,
+                data: {
+                    labels: ['Visits', 'Carts'],
+                    subLabels: ['Direct', 'Ads'],
+                    colors: [['#FF0000', '#00FF00'], '#0000FF'],
+                    values: [[10, 5], [4, 2]]
+                }
+            });
+
+            graph.draw();
+            const listeners = container.listeners.length;
+            graph.draw();
+
+            assert.deepEqual(container.children.map(child => child.getAttribute('class')), [
+                'svg-funnel-js__container', 'svg-funnel-js__labels', 'svg-funnel-js__table', 'svg-funnel-js__subLabels'
+            ]);
+            assert.equal(container.querySelectorAll('svg').length, 1);
+            assert.equal(container.querySelectorAll('.svg-funnel-js__label').length, 2);
+            assert.equal(container.querySelectorAll('linearGradient').length, 1);
+            assert.equal(container.listeners.length, listeners);
+
+            graph.destroy();
+
+            assert.deepEqual(container.children, []);
+            assert.equal(container.getAttribute('class'), '');
+            assert.equal(container.style.length, 0);
+            assert.deepEqual(container.listeners, []);
+        });
+    });
+});
+
+describe('Add tests for export', () => {
+    it('resolves image types', () => {
+        assert.equal(getImageMimeType(), 'image/png');
+        assert.equal(getImageMimeType('JPG'), 'image/jpeg');
+        assert.throws(() => getImageMimeType('gif'), /Image type must be one of/);
+    });
+
+    it('can read file extensions', () => {
+        assert.equal(getFileExtension('funnel.report.PNG'), 'PNG');
+        assert.equal(getFileExtension('funnel'), '');
+    });
+
+    it('can encode SVG as a data URL', () => {
+        assert.equal(svgToDataURL('<svg fill="#fff"/>'), 'data:image/svg+xml;charset=utf-8,%3Csvg%20fill%3D%22%23fff%22%2F%3E');
+    });
+
+    it('can render a background and hides collapsed segments', () => {
+        const svg = new FunnelGraph({
+            data: {
+                subLabels: ['Direct', 'Ads'],
+                colors: ['red', 'blue'],
+                values: [[10, 5], [4, 2]]
+            },
+            width: 200,
+            height: 100,
+            hiddenSeries: [1]
+        }).renderToString({ background: '#393862' });
+
+        assert.notEqual(svg.indexOf('<rect width="100%" height="100%" fill="#393862"/>'), -1);
+        assert.equal(svg.match(/visibility="hidden"/g).length, 1);
+        assert.notEqual(svg.indexOf('opacity="0.4"'), -1);
+    });
+
+    it('exports everything the labels show', () => {
+        const svg = new FunnelGraph({
+            data: { labels: ['Visits', 'Carts'], values: [1000, 500] },
+            width: 200,
+            height: 100,
+            displayDropOff: true
+        }).renderToString();
+        const segments = new FunnelGraph({
+            data: { subLabels: ['Direct', 'Ads'], values: [[10, 5], [4, 2]] },
+            width: 200,
+            height: 100,
+            hiddenSeries: ['Ads']
+        }).renderToString();
+
+        assert.notEqual(svg.indexOf('<text class="label__drop-off" x="124" y="60" font-size="12" fill="#FFFFFF">'
+            + '-500 (-50%)</text>'), -1);
+        assert.notEqual(segments.indexOf('>Direct: 100%</text>'), -1);
+        assert.equal(segments.indexOf('>Ads: '), -1);
+    });
+
+    it('rejects downloads of unknown types', () => {
+        const result = new FunnelGraph({ data: [2, 1], width: 200, height: 100 }).download('funnel.gif');
+
+        assert.ok(result instanceof Promise);
+        return result.then(() => assert.fail('download resolved'), (error) => {
+            assert.ok(/Image type must be one of/.test(error.message));
+        });
+    });
+});
+
+describe('Add tests for accessibility', () => {
+    const graph = new FunnelGraph({
+        data: {
+            labels: ['Impressions', 'Add To Cart', 'Buy'],
+            values: [12000, 5700, 360]
+        },
+        width: 300,
+        height: 100,
+        title: 'Checkout funnel'
+    });
+
+    it('can describe stages', () => {
+        const metrics = graph.getMetrics();
+        assert.equal(describeStage(metrics[0], 0), 'Impressions: 12,000');
+        assert.equal(describeStage(metrics[2], 2), 'Buy: 360, 6.3% of previous stage');
+        assert.equal(describeStage({ label: '', value: 5 }, 0), 'Stage 1: 5');
+    });
+
+    it('can summarize the graph', () => {
+        assert.equal(createSummary('Checkout funnel', graph.getMetrics()), 'Checkout funnel with 3 stages. '
+            + 'Impressions: 12,000; Add To Cart: 5,700, 47.5% of previous stage; Buy: 360, 6.3% of previous stage.');
+        assert.equal(new FunnelGraph({ data: { values: [1] }, description: 'Custom' }).getDescription(), 'Custom');
+    });
+
+    it('can navigate stages with a keyboard', () => {
+        assert.equal(getNextFocusIndex('ArrowRight', 0, 3), 1);
+        assert.equal(getNextFocusIndex('ArrowDown', 2, 3), 2);
+        assert.equal(getNextFocusIndex('ArrowUp', 0, 3), 0);
+        assert.equal(getNextFocusIndex('End', 0, 3), 2);
+        assert.equal(getNextFocusIndex('Home', 2, 3), 0);
+        assert.strictEqual(getNextFocusIndex('a', 1, 3), null);
+    });
+
+    it('renders title and description into the SVG string', () => {
+        const svg = graph.renderToString();
+        assert.notEqual(svg.indexOf('role="img"'), -1);
+        assert.notEqual(svg.search(/<title id="funnelTitle-[a-z0-9]+">Checkout funnel<\/title>/), -1);
+        assert.notEqual(svg.indexOf('>Checkout funnel with 3 stages. '), -1);
+    });
+});
+
+describe('Add tests for formatting in labels', () => {
+    it('formats labels, tooltips and descriptions', () => {
+        const graph = new FunnelGraph({
+            data: {
+                labels: ['Impressions', 'Buy'],
+                values: [12000.5, 360]
+            },
+            width: 300,
+            height: 100,
+            displayPercent: true,
+            format: { locale: 'de-DE' }
+        });
+
+        assert.equal(graph.getSegmentContext(0).formatted.value, '12.000,5');
+        assert.equal(graph.getDescription(), 'Funnel graph with 2 stages. Impressions: 12.000,5; Buy: 360, 3\u00A0% of previous stage.');
+        assert.notEqual(graph.renderToString().indexOf('>12.000,5</text>'), -1);
+    });
+});
+
+describe('Add tests for data validation', () => {
+    const data = {
+        labels: ['Impressions', 'Add To Cart', 'Buy'],
+        subLabels: ['Direct', 'Ads'],
+        values: [
+            [2000, 4000],
+            [3000, '1000'],
+            [-800, NaN, 5]
+        ]
+    };
+
+    it('accepts valid data', () => {
+        assert.deepEqual(FunnelGraph.validate({ labels: ['A', 'B'], values: [10, 0] }), []);
+    });
+
+    it('reports every problem with the offending stage and sub-label', () => {
+        const errors = FunnelGraph.validate(data);
+
+        assert.deepEqual(errors.map(error => error.code), [
+            'INVALID_VALUE', 'RAGGED_VALUES', 'NEGATIVE_VALUE', 'INVALID_VALUE'
+        ]);
+        assert.equal(errors[0].name, 'ValidationError');
+        assert.equal(errors[0].message,
+            'Value of stage "Add To Cart" (index 1), sub-label "Ads" (index 1) must be a number, got "1000"');
+        assert.equal(errors[0].stageIndex, 1);
+        assert.equal(errors[0].subLabelIndex, 1);
+        assert.equal(errors[0].stage, 'Add To Cart');
+        assert.equal(errors[0].subLabel, 'Ads');
+        assert.equal(errors[1].message, 'stage "Buy" (index 2) has 3 values, expected 2');
+    });
+
+    it('reports mismatched labels', () => {
+        assert.deepEqual(FunnelGraph.validate({ labels: ['A'], values: [10, 5] }).map(error => error.code), [
+            'LABELS_MISMATCH'
+        ]);
+        assert.deepEqual(FunnelGraph.validate({
+            subLabels: ['A'], values: [[10, 5], [1, 1]]
+        }).map(error => error.code), ['SUB_LABELS_MISMATCH']);
+    });
+
+    it('throws in strict mode', () => {
+        assert.throws(() => new FunnelGraph({ data }), error => error instanceof FunnelGraph.ValidationError
+            && error.code === 'INVALID_VALUE');
+        assert.throws(() => new FunnelGraph({ data: { labels: ['A'] }, validation: 'lenient' }), /non-empty array/);
+    });
+
+    it('coerces and clamps values in lenient mode', () => {
+        const graph = new FunnelGraph({ data, validation: 'lenient' });
+
+        assert.deepEqual(graph.values, [[2000, 4000], [3000, 1000], [0, 0]]);
+    });
+
+    it('reports errors to the onError handler', () => {
+        const errors = [];
+        const graph = new FunnelGraph({ data, onError: error => errors.push(error.code) });
+
+        assert.equal(errors.length, 4);
+        assert.deepEqual(graph.values[2], [0, 0]);
+    });
+
+    it('can draw a funnel with all zero values', () => {
+        const graph = new FunnelGraph({ data: { values: [0, 0, 0] }, width: 90, height: 60 });
+
+        assert.deepEqual(graph.getCrossAxisPoints(), [[30, 30, 30, 30], [30, 30, 30, 30]]);
+    });
+});
+
+describe('Add tests for array data', () => {
+    it('accepts plain arrays of values', () => {
+        assert.deepEqual(FunnelGraph.getValues({ data: [12000, 5700, 360] }), [12000, 5700, 360]);
+        assert.deepEqual(FunnelGraph.getValues({ data: [[2000, 4000], [3000, 1000]] }), [[2000, 4000], [3000, 1000]]);
+        assert.deepEqual(FunnelGraph.getLabels({ data: [12000, 5700, 360] }), []);
+
+        const graph = new FunnelGraph({ data: [12000, 5700, 360] });
+
+        assert.deepEqual(graph.values, [12000, 5700, 360]);
+        assert.equal(graph.colors.length, 2);
+    });
+
+    it('accepts records with a value', () => {
+        assert.deepEqual(normalizeData([
+            { label: 'Impressions', value: 12000 },
+            { label: 'Buy', value: 360 }
+        ]), { labels: ['Impressions', 'Buy'], values: [12000, 360] });
+    });
+
+    it('accepts records with values keyed by sub-label', () => {
+        const graph = new FunnelGraph({
+            data: [
+                { label: 'Impressions', values: { Direct: 3000, Ads: 2500 } },
+                { label: 'Add To Cart', values: { Ads: 1000, Social: 200 } },
+                { label: 'Buy', values: { Direct: 600 } }
+            ]
+        });
+
+        assert.deepEqual(graph.labels, ['Impressions', 'Add To Cart', 'Buy']);
+        assert.deepEqual(graph.subLabels, ['Direct', 'Ads', 'Social']);
+        assert.deepEqual(graph.values, [[3000, 2500, 0], [0, 1000, 200], [600, 0, 0]]);
+    });
+
+    it('validates normalized records', () => {
+        assert.throws(() => new FunnelGraph({ data: [{ label: 'A', value: 'many' }] }), /stage "A" \(index 0\)/);
+    });
+
+    it('validates every form of data like the graph does', () => {
+        assert.deepEqual(FunnelGraph.validate([12000, 5700, 360]), []);
+        assert.deepEqual(FunnelGraph.validate([[2000, 4000], [3000, 1000]]), []);
+        assert.deepEqual(FunnelGraph.validate([
+            { label: 'Impressions', value: 12000 },
+            { label: 'Buy', value: 360 }
+        ]), []);
+        assert.deepEqual(FunnelGraph.validate([
+            { label: 'Impressions', values: { Direct: 3000, Ads: 2500 } },
+            { label: 'Buy', values: { Direct: 600 } }
+        ]), []);
+        assert.deepEqual(FunnelGraph.validate({ labels: ['A', 'B'], values: [10, 5], compare: [8, 4] }), []);
+        assert.deepEqual(FunnelGraph.validate([{ label: 'A', value: 'many' }]).map(error => error.code), [
+            'INVALID_VALUE'
+        ]);
+    });
+});
+
+describe('Add tests for shapes', () => {
+    const main = [0, 30, 60, 90];
+    const cross = [0, 10, 20, 20];
+    const crossNext = [60, 50, 40, 40];
+
+    it('can change the tension of curves', () => {
+        assert.equal(createCurves(0, 0, 10, 2, 0.8), ' C8,0 2,2 10,2');
+        assert.equal(createCurves(0, 0, 10, 2, 0), ' C0,0 10,2 10,2');
+    });
+
+    it('can create linear and step paths', () => {
+        assert.equal(
+            createShapePath('linear', 0, main, cross, crossNext),
+            'M0,0 L30,10 L60,20 L90,20 L90,40 L60,40 L30,50 L0,60 Z'
+        );
+        assert.equal(
+            createShapePath('step', 0, main, cross, crossNext),
+            'M0,0 L30,0 L30,10 L60,10 L60,20 L90,20 L90,20 L90,40 L90,40 L60,40 L60,50 L30,50 L30,60 L0,60 Z'
+        );
+    });
+
+    it('can create pyramid paths with straight edges sliced into stages', () => {
+        assert.equal(
+            createShapePath('pyramid', 0, main, cross, crossNext, { center: 30 }),
+            'M0,0 L30,6.7 L30,53.3 L0,60 Z M30,6.7 L60,13.3 L60,46.7 L30,53.3 Z M60,13.3 L90,20 L90,40 L60,46.7 Z'
+        );
+        // segments of a two-dimensional funnel taper from their first size to their last one as well
+        assert.equal(
+            createShapePath('pyramid', 1, main, [10, 20, 25, 25], [20, 30, 35, 35], { center: 30 }),
+            'M0,10 L30,15 L30,25 L0,20 Z M30,15 L60,20 L60,30 L30,25 Z M60,20 L90,25 L90,35 L60,30 Z'
+        );
+    });
+
+    it('swaps coordinates in vertical graphs', () => {
+        assert.equal(
+            createShapePath('linear', 0, [0, 10], [0, 5], [20, 15], { vertical: true }),
+            'M0,0 L5,10 L15,10 L20,0 Z'
+        );
+    });
+
+    it('can register custom shapes', () => {
+        FunnelGraph.registerShape('outline', (points, edge, nextEdge, { index, point }) => (
+            `M${point(points[0], edge[0])} #${index}`
+        ));
+
+        const graph = new FunnelGraph({
+            data: { values: [10, 5] }, shape: 'outline', width: 90, height: 60
+        });
+
+        assert.deepEqual(graph.getPathDefinitions(), ['M0,0 #0']);
+        assert.throws(() => new FunnelGraph({ data: { values: [10, 5] }, shape: 'spiral' }), /Shape must be one of/);
+        assert.throws(() => new FunnelGraph({ data: { values: [10, 5] }, curveTension: 2 }), /between 0 and 1/);
+        assert.throws(() => FunnelGraph.registerShape('spiral', 'M0,0'), /must be a function/);
+
+        FunnelGraph.unregisterShape('outline');
+        assert.throws(() => new FunnelGraph({ data: { values: [10, 5] }, shape: 'outline' }), /Shape must be one of/);
+        assert.throws(() => FunnelGraph.unregisterShape('linear'), /built in/);
+    });
+});
+
+describe('Add tests for stage gaps, strokes and separators', () => {
+    const data = {
+        subLabels: ['Direct', 'Ads'],
+        colors: ['#FF0000', '#0000FF'],
+        values: [[30, 30], [20, 10], [10, 5]]
+    };
+
+    it('can create clip rects of stages with gaps', () => {
+        const main = [0, 30, 60, 90];
+        const cross = [[0, 10, 20, 20], [60, 50, 40, 40]];
+
+        assert.deepEqual(getStageClipRects(main, cross, { gap: 4 }), [
+            {
+                x: 0, y: 0, width: 28, height: 60
+            },
+            {
+                x: 32, y: 10, width: 26, height: 40
+            },
+            {
+                x: 62, y: 20, width: 28, height: 20
+            }
+        ]);
+        assert.deepEqual(getStageClipRects(main, cross, { padding: 1, vertical: true })[2], {
+            x: 19, y: 60, width: 22, height: 30
+        });
+    });
+
+    it('keeps the stroke equal to the fill by default', () => {
+        const svg = new FunnelGraph({ data, width: 90, height: 60 }).renderToString();
+
+        assert.ok(svg.indexOf('fill="#FF0000" stroke="#FF0000"') !== -1);
+        assert.equal(svg.indexOf('clipPath'), -1);
+        assert.equal(svg.indexOf('svg-funnel-js__separators'), -1);
+    });
+
+    it('can render strokes, separators, gaps and rounded corners', () => {
+        const graph = new FunnelGraph({
+            data,
+            width: 90,
+            height: 60,
+            stageGap: 4,
+            cornerRadius: 3,
+            stroke: { color: '#333333', width: 2 },
+            separators: true
+        });
+        const svg = graph.renderToString();
+
+        assert.ok(svg.indexOf('fill="#FF0000" stroke="#333333" stroke-width="2"') !== -1);
+        assert.ok(svg.indexOf(`<clipPath id="${graph.clipPathId}"><rect rx="3" ry="3"`) !== -1);
+        assert.ok(svg.indexOf(`<g clip-path="url(#${graph.clipPathId})">`) !== -1);
+        assert.ok(svg.indexOf('class="svg-funnel-js__separators" fill="none" stroke="#FFFFFF" stroke-width="1"') !== -1);
+        assert.equal(graph.getSeparatorDefinitions(graph.getMainAxisPoints(), graph.getCrossAxisPoints()).length, 1);
+    });
+
+    it('validates lengths', () => {
+        assert.throws(() => new FunnelGraph({ data, stageGap: -1 }), /stageGap must be a number/);
+    });
+});
+
+describe('Add tests for labels drawn into the SVG', () => {
+    const data = {
+        labels: ['Impressions', 'Add To Cart for a very long stage title', 'Buy'],
+        subLabels: ['Direct', 'Ads'],
+        values: [[3000, 2000], [1200, 800], [300, 100]]
+    };
+
+    it('can truncate and wrap text', () => {
+        assert.equal(truncateText('Impressions', 100, 10), 'Impressions');
+        assert.equal(truncateText('Impressions', 30, 10), 'Impr…');
+        assert.deepEqual(wrapText('Add To Cart', 40, 10, 2), ['Add To', 'Cart']);
+        assert.deepEqual(wrapText('Add To Cart Now', 40, 10, 2), ['Add To', 'Cart…']);
+    });
+
+    it('can detect overlapping rects', () => {
+        const rect = {
+            x: 0, y: 0, width: 10, height: 10
+        };
+
+        assert.ok(rectsOverlap(rect, Object.assign({}, rect, { x: 5 })));
+        assert.ok(!rectsOverlap(rect, Object.assign({}, rect, { x: 10 })));
+    });
+
+    it('places labels inside of the stages where they fit', () => {
+        const graph = new FunnelGraph({
+            data, labels: { position: 'inside' }, width: 600, height: 300
+        });
+        const { stages } = graph.getLabelsLayout();
+
+        assert.deepEqual(stages.map(stage => stage.position), ['inside', 'above', 'above']);
+        assert.deepEqual(stages[1].texts.map(text => text.text), [
+            '2,000', 'Add To Cart for a very', 'long stage title'
+        ]);
+        assert.ok(stages[1].rect.y + stages[1].rect.height <= graph.getCrossAxisPoints()[0][1]);
+    });
+
+    it('places labels in vertical graphs next to the stages', () => {
+        const graph = new FunnelGraph({
+            data, labels: 'below', direction: 'vertical', width: 600, height: 300
+        });
+        const { stages } = graph.getLabelsLayout();
+
+        assert.deepEqual(stages.map(stage => stage.position), ['inside', 'below', 'below']);
+        assert.equal(stages[1].texts[0].anchor, 'start');
+    });
+
+    it('labels segments that are not covered by stage labels', () => {
+        const graph = new FunnelGraph({
+            data, labels: 'outside', direction: 'vertical', width: 600, height: 300
+        });
+        const { stages, segments } = graph.getLabelsLayout();
+
+        segments.forEach((segment) => {
+            stages.forEach(stage => assert.ok(!rectsOverlap(stage.rect, segment.rect)));
+        });
+        assert.deepEqual(segments.map(segment => segment.texts[0].text), ['40%', '60%', '75%']);
+    });
+
+    it('renders the labels into the SVG without a DOM', () => {
+        const svg = new FunnelGraph({
+            data, labels: 'inside', width: 600, height: 300
+        }).renderToString();
+
+        assert.ok(svg.indexOf('<svg xmlns="http://www.w3.org/2000/svg" class="svg-funnel-js" width="600" height="340"') !== -1);
+        assert.ok(svg.indexOf('<text class="label__value" x="100"') !== -1);
+        assert.ok(svg.indexOf('text-anchor="middle" font-size="12" font-weight="bold" fill="#21FFA2">Impressions</text>') !== -1);
+    });
+
+    it('validates the label position', () => {
+        assert.throws(() => new FunnelGraph({ data, labels: 'left' }), /Label position must be one of/);
+    });
+});
+
+describe('Add tests for comparison', () => {
+    const data = {
+        labels: ['Impressions', 'Add To Cart', 'Buy'],
+        values: [3000, 1500, 300],
+        compare: { values: [4000, 1000, 0], label: 'last week' }
+    };
+
+    it('can calculate deltas', () => {
+        assert.deepEqual(createDeltas([3000, 1500, 300], [4000, 1000, 0]), [
+            { compareValue: 4000, delta: -1000, deltaPercentage: -25 },
+            { compareValue: 1000, delta: 500, deltaPercentage: 50 },
+            { compareValue: 0, delta: 300, deltaPercentage: null }
+        ]);
+        assert.equal(formatDelta({ delta: -1000, deltaPercentage: -25 }), '-1,000 (-25%)');
+        assert.equal(formatDelta({ delta: 300, deltaPercentage: null }), '+300');
+    });
+
+    it('shares the max with the compared funnel', () => {
+        const graph = new FunnelGraph({ data, width: 90, height: 60 });
+
+        assert.equal(graph.getMaxValue(), 4000);
+        assert.deepEqual(graph.getCrossAxisPoints()[0], [7.5, 18.8, 27.8, 27.8]);
+        assert.deepEqual(graph.getCompareCrossAxisPoints(), [[0, 22.5, 30, 30], [60, 37.5, 30, 30]]);
+    });
+
+    it('sums up two-dimensional compare values', () => {
+        const graph = new FunnelGraph({
+            data: { values: [[2, 1], [1, 1]], compare: [[3, 1], 2] }
+        });
+
+        assert.deepEqual(graph.compare.values, [4, 2]);
+    });
+
+    it('adds deltas to the metrics and tooltips', () => {
+        const graph = new FunnelGraph({ data, width: 90, height: 60 });
+        const context = graph.getSegmentContext(1);
+
+        assert.equal(graph.getMetrics()[0].delta, -1000);
+        assert.equal(context.deltaPercentage, 50);
+        assert.equal(context.formatted.delta, '+500 (+50%) vs last week');
+        assert.ok(createTooltipContent(context).indexOf('<div class="tooltip__delta">+500 (+50%) vs last week</div>') !== -1);
+    });
+
+    it('renders the compared funnel as an outline or a ghost', () => {
+        const outline = new FunnelGraph({ data, width: 90, height: 60 }).renderToString();
+        const ghost = new FunnelGraph({
+            data: Object.assign({}, data, { compare: { values: [4000, 1000, 0], style: 'ghost' } }),
+            width: 90,
+            height: 60
+        }).renderToString();
+
+        assert.ok(outline.indexOf('fill="none" stroke="#FFFFFF" stroke-width="2" stroke-dasharray="6 4"/></g></g>') !== -1);
+        assert.ok(ghost.indexOf('<g transform="translate(0, 64)"><g class="svg-funnel-js__compare"><path') !== -1);
+        assert.ok(outline.indexOf('>-1,000 (-25%) vs last week</text>') !== -1);
+    });
+
+    it('validates compare values', () => {
+        assert.deepEqual(FunnelGraph.validate({
+            labels: ['A', 'B'], values: [2, 1], compare: { values: [2, 'x', 3] }
+        }).map(error => error.code), ['COMPARE_MISMATCH', 'INVALID_VALUE']);
+        assert.throws(() => new FunnelGraph({
+            data: { values: [2, 1], compare: { values: [2, 1], style: 'dotted' } }
+        }), /Compare style must be one of/);
+    });
+});
+
+describe('Add tests for mirrored funnels', () => {
+    const data = {
+        labels: ['Impressions', 'Add To Cart', 'Buy'],
+        subLabels: ['Mobile', 'Desktop'],
+        values: [[3000, 2000], [1200, 800], [300, 100]]
+    };
+
+    it('grows the sides from the center line on a shared scale', () => {
+        const graph = new FunnelGraph({
+            data, layout: 'mirrored', width: 90, height: 60
+        });
+
+        assert.deepEqual(graph.getCrossAxisPoints(), [
+            [0, 18, 27, 27],
+            [30, 30, 30, 30],
+            [50, 38, 31, 31]
+        ]);
+    });
+
+    it('collapses a hidden side onto the center line', () => {
+        const graph = new FunnelGraph({
+            data, layout: 'mirrored', hiddenSeries: ['Mobile'], width: 90, height: 60
+        });
+
+        assert.deepEqual(graph.getCrossAxisPoints()[0], [30, 30, 30, 30]);
+        assert.deepEqual(graph.getCrossAxisPoints()[2], [60, 42, 31.5, 31.5]);
+    });
+
+    it('labels the stages on the center line and the values on both sides', () => {
+        const graph = new FunnelGraph({
+            data, layout: 'mirrored', width: 600, height: 300
+        });
+        const { stages, segments } = graph.getLabelsLayout();
+        const center = 150;
+
+        stages.forEach(stage => assert.ok(stage.rect.y < center && stage.rect.y + stage.rect.height > center));
+        assert.deepEqual(segments.filter(segment => segment.stageIndex === 1).map(segment => segment.texts[0].text), [
+            '1,200', '800'
+        ]);
+        segments.forEach((segment) => {
+            const isStart = segment.subLabelIndex === 0;
+            assert.ok(isStart ? segment.rect.y + segment.rect.height <= center : segment.rect.y >= center);
+        });
+        assert.ok(graph.renderToString().indexOf('class="svg-funnel-js__svgLabels"') !== -1);
+    });
+
+    it('needs two values for every stage', () => {
+        assert.throws(() => new FunnelGraph({ data: { values: [3, 2] }, layout: 'mirrored' }), /two values for every stage/);
+        assert.throws(() => new FunnelGraph({ data, layout: 'butterfly' }), /Layout must be one of/);
+    });
+
+    it('cannot be compared with another funnel', () => {
+        const sides = { values: [[100, 100], [50, 50]] };
+
+        assert.throws(() => new FunnelGraph({
+            data: Object.assign({ compare: [200, 100] }, sides), layout: 'mirrored'
+        }), /cannot be compared/);
+
+        const graph = new FunnelGraph({ data: sides, layout: 'mirrored' });
+        assert.throws(() => graph.updateData({ values: [[80, 80], [40, 40]], compare: [200, 100] }), /cannot be compared/);
+        assert.deepEqual(graph.values, sides.values);
+    });
+});
+
+describe('Add tests for themes', () => {
+    const data = {
+        labels: ['Impressions', 'Add To Cart', 'Buy'],
+        subLabels: ['Direct', 'Social', 'Ads'],
+        values: [[3000, 2500, 6500], [3000, 1700, 1000], [600, 200, 130]]
+    };
+
+    it('resolves a theme by its name or overrides a built-in one', () => {
+        assert.deepEqual(getTheme('light'), themes.light);
+        assert.equal(getTheme().background, themes.dark.background);
+
+        const theme = getTheme({ base: 'highContrast', title: '#FF0000' });
+        assert.equal(theme.title, '#FF0000');
+        assert.equal(theme.value, themes.highContrast.value);
+        assert.equal(typeof theme.base, 'undefined');
+
+        assert.throws(() => getTheme('sepia'), /Theme must be one of: dark, light, highContrast/);
+    });
+
+    it('maps the theme to CSS custom properties', () => {
+        const properties = getThemeProperties(getTheme('light'));
+
+        assert.equal(properties['--svg-funnel-js-font-family'], themes.light.fontFamily);
+        assert.equal(properties['--svg-funnel-js-title'], themes.light.title);
+        assert.equal(typeof properties['--svg-funnel-js-palette'], 'undefined');
+    });
+
+    it('assigns colors of the theme palette', () => {
+        const graph = new FunnelGraph({ data, theme: 'light' });
+        const otherGraph = new FunnelGraph({ data, theme: 'light' });
+
+        assert.deepEqual(graph.colors, assignColors(data.subLabels, themes.light.palette));
+        assert.deepEqual(graph.colors, otherGraph.colors);
+        assert.deepEqual(new FunnelGraph({ data: { values: [3, 2, 1] } }).colors, themes.dark.palette.slice(0, 2));
+    });
+
+    it('renders the theme without a stylesheet', () => {
+        const graph = new FunnelGraph({
+            data, theme: 'highContrast', width: 600, height: 300
+        });
+        const svg = graph.renderToString();
+
+        assert.ok(svg.indexOf(`fill="${themes.highContrast.background}"`) !== -1);
+        assert.ok(svg.indexOf(`fill="${themes.highContrast.title}"`) !== -1);
+        assert.ok(new FunnelGraph({ data, width: 600, height: 300 }).renderToString().indexOf('<rect') === -1);
+    });
+
+    it('switches the theme, keeping colors set in the data', () => {
+        const graph = new FunnelGraph({ data });
+        graph.setTheme('light');
+        assert.deepEqual(graph.colors, assignColors(data.subLabels, themes.light.palette));
+        assert.equal(graph.theme.background, themes.light.background);
+
+        const coloredGraph = new FunnelGraph({ data: Object.assign({ colors: ['red', 'green', 'blue'] }, data) });
+        coloredGraph.setTheme('light');
+        assert.deepEqual(coloredGraph.colors, ['red', 'green', 'blue']);
+    });
+});
+
+describe('Add tests for palettes', () => {
+    const data = {
+        labels: ['Impressions', 'Add To Cart', 'Buy'],
+        subLabels: ['Direct', 'Social', 'Ads'],
+        values: [[3000, 2500, 6500], [3000, 1700, 1000], [600, 200, 130]]
+    };
+
+    it('keys colors by sub-label', () => {
+        const colors = assignColors(['Direct', 'Social', 'Ads'], palettes.okabeIto);
+        const reordered = assignColors(['Ads', 'Direct'], palettes.okabeIto);
+
+        assert.equal(reordered[0], colors[2]);
+        assert.deepEqual(assignColors([null, null], ['red', 'green', 'blue']), ['red', 'green']);
+    });
+
+    it('gives a sub-label the same color in every order', () => {
+        const names = ['Email', 'Search', 'Referral', 'Direct'];
+        const colors = assignColors(names, palettes.default);
+
+        assert.deepEqual(assignColors(names.slice().reverse(), palettes.default), colors.slice().reverse());
+        assert.deepEqual(assignColors(['Referral', 'Email', 'Direct', 'Search'], palettes.default), [
+            colors[2], colors[0], colors[3], colors[1]
+        ]);
+        assert.deepEqual(assignColors(['Ads', 'Ads'], palettes.okabeIto), assignColors(['Ads'], palettes.okabeIto)
+            .concat(assignColors(['Ads'], palettes.okabeIto)));
+    });
+
+    it('gives the sub-labels of a graph different colors while the palette has enough of them', () => {
+        const names = ['Direct', 'Social', 'Ads', 'Email', 'Referral', 'Search', 'Video', 'Display', 'Partners', 'Print'];
+
+        assert.equal(new Set(assignColors(['Email', 'Search', 'Referral'], palettes.default)).size, 3);
+        assert.equal(new Set(assignColors(['iOS', 'Android', 'Web'], palettes.okabeIto)).size, 3);
+        assert.equal(new Set(assignColors(names.slice(0, 7), palettes.okabeIto)).size, 7);
+        assert.equal(new Set(assignColors(names, palettes.okabeIto)).size, 7);
+    });
+
+    it('resolves named palettes', () => {
+        assert.equal(getPalette('tolBright'), palettes.tolBright);
+        assert.deepEqual(getPalette(['red']), ['red']);
+        assert.throws(() => getPalette('rainbow'), /Palette must be one of: default, okabeIto/);
+        assert.throws(() => new FunnelGraph({ data, palette: 'rainbow' }), /Palette must be one of/);
+    });
+
+    it('gives a sub-label the same color in every graph', () => {
+        const graph = new FunnelGraph({ data, palette: 'okabeIto' });
+        const otherGraph = new FunnelGraph({
+            data: { labels: ['A', 'B'], subLabels: ['Ads', 'Email'], values: [[3, 2], [2, 1]] },
+            palette: 'okabeIto'
+        });
+
+        assert.equal(otherGraph.colors[0], graph.colors[2]);
+    });
+
+    it('prefers colorMap over data colors and the palette', () => {
+        const graph = new FunnelGraph({
+            data: Object.assign({ colors: ['red', 'green', 'blue'] }, data),
+            colorMap: { Ads: ['#FFB000', '#FE6100'] }
+        });
+
+        assert.deepEqual(graph.colors, ['red', 'green', ['#FFB000', '#FE6100']]);
+    });
+
+    it('recolors when the palette or the color map change', () => {
+        const graph = new FunnelGraph({ data, palette: 'tolMuted' });
+        const adsColor = graph.colors[2];
+
+        graph.update({ colorMap: { Direct: 'orange' } });
+        assert.deepEqual(graph.colors, ['orange', graph.colors[1], adsColor]);
+
+        graph.update({ palette: 'ibm' });
+        assert.deepEqual(graph.colors.slice(1), assignColors(data.subLabels, palettes.ibm).slice(1));
+    });
+});
+
+describe('Add tests for scales', () => {
+    const data = { labels: ['Impressions', 'Visits', 'Purchases'], values: [1000000, 20000, 300] };
+
+    it('scales ratios linearly, by square root or logarithmically', () => {
+        assert.equal(getScaledRatio(25, 100), 0.25);
+        assert.equal(getScaledRatio(25, 100, 'sqrt'), 0.5);
+        assert.equal(roundPoint(getScaledRatio(99, 9999, 'log')), 0.5);
+        assert.equal(getScaledRatio(0, 100, 'log'), 0);
+        assert.equal(getScaledRatio(0, 0, 'sqrt'), 0);
+        assert.throws(() => new FunnelGraph({ data, scale: 'exponential' }), /Scale must be one of: linear, sqrt, log/);
+    });
+
+    it('raises stages that are not empty to the minimum size', () => {
+        assert.equal(getMinRatio(0.1, 300), 0.1);
+        assert.equal(getMinRatio(30, 300), 0.1);
+        assert.equal(getMinRatio(600, 300), 1);
+        assert.equal(getScaledRatio(1, 100, 'linear', 0.1), 0.1);
+        assert.equal(getScaledRatio(0, 100, 'linear', 0.1), 0);
+
+        const graph = new FunnelGraph({
+            data, minStageSize: 30, width: 600, height: 300
+        });
+        assert.deepEqual(graph.getCrossAxisPoints(), [[0, 135, 135, 135], [300, 165, 165, 165]]);
+    });
+
+    it('marks graphs that are not drawn to a linear scale', () => {
+        assert.equal(getScaleNote('linear', false), null);
+        assert.equal(getScaleNote('linear', true), 'Not to scale');
+        assert.equal(getScaleNote('log', false), 'Logarithmic scale');
+
+        const graph = new FunnelGraph({
+            data, scale: 'log', width: 600, height: 300
+        });
+        const svg = graph.renderToString();
+
+        assert.ok(svg.indexOf('class="svg-funnel-js__scaleNote"') !== -1);
+        assert.ok(svg.indexOf('>300<') !== -1);
+        assert.ok(/Logarithmic scale\.<\/desc>/.test(svg));
+        assert.equal(new FunnelGraph({
+            data: { values: [3, 2, 1] }, minStageSize: 30, width: 600, height: 300
+        }).getScaleNote(), null);
+    });
+});
+
+describe('Add tests for groups of funnels', () => {
+    const funnels = [
+        { title: 'Europe', data: { labels: ['A', 'B'], subLabels: ['Ads', 'Direct'], values: [[100, 50], [40, 20]] } },
+        { title: 'Americas', data: { labels: ['A', 'B'], subLabels: ['Direct', 'Social'], values: [[300, 100], [80, 60]] } }
+    ];
+
+    it('draws a graph against a shared maximum', () => {
+        const graph = new FunnelGraph({ data: { values: [100, 50] }, width: 100, height: 100 });
+        assert.deepEqual(graph.getCrossAxisPoints()[0], [0, 25, 25]);
+
+        graph.update({ maxValue: 200 });
+        assert.deepEqual(graph.getCrossAxisPoints()[0], [25, 37.5, 37.5]);
+
+        // a maximum below the values of the graph does not overflow it
+        graph.update({ maxValue: 50 });
+        assert.equal(graph.getMaxValue(), 100);
+        assert.throws(() => new FunnelGraph({ data: { values: [1] }, maxValue: -1 }), /maxValue must be a number/);
+    });
+
+    it('is available on FunnelGraph', () => {
+        assert.equal(typeof FunnelGraph.FunnelGroup, 'function');
+        assert.throws(() => new FunnelGraph.FunnelGroup({ funnels: [] }), /Funnels must be a non-empty array/);
+    });
+
+    it('collects the sub-labels of all funnels', () => {
+        const group = new FunnelGraph.FunnelGroup({ funnels, width: 300 });
+
+        assert.deepEqual(group.getSubLabels(), ['Ads', 'Direct', 'Social']);
+        assert.deepEqual(group.options, { width: 300 });
+    });
+
+    it('gives a series the same color in every funnel', () => {
+        const group = new FunnelGraph.FunnelGroup({ funnels, palette: 'okabeIto', colorMap: { Social: 'orange' } });
+        const colorMap = group.getColorMap();
+
+        assert.deepEqual(Object.keys(colorMap).sort(), ['Ads', 'Direct', 'Social']);
+        assert.equal(colorMap.Social, 'orange');
+        assert.deepEqual([colorMap.Ads, colorMap.Direct], assignColors(['Ads', 'Direct', 'Social'], palettes.okabeIto)
+            .slice(0, 2));
+    });
+
+    it('gives the series of all funnels different colors', () => {
+        const platforms = ['iOS', 'Android', 'Web'].map(subLabel => ({
+            data: { labels: ['A'], subLabels: [subLabel], values: [[1]] }
+        }));
+        const colorMap = new FunnelGraph.FunnelGroup({ funnels: platforms, palette: 'okabeIto' }).getColorMap();
+
+        assert.equal(new Set([colorMap.iOS, colorMap.Android, colorMap.Web]).size, 3);
+    });
+
+    it('draws the funnels on a shared scale with one legend and leaves a clean container', () => {
+        withFakeDocument(() => {
+            const container = new FakeElement('div');
+            const group = new FunnelGraph.FunnelGroup({ container, funnels, width: 200, height: 100 });
+
+            group.draw();
+            group.draw();
+
+            assert.equal(container.children.length, 1);
+            assert.equal(group.graphs.length, 2);
+            assert.deepEqual(group.graphs.map(graph => graph.getMaxValue()), [400, 400]);
+            assert.deepEqual(container.querySelectorAll('.svg-funnel-js-group__title').map(title => title.textContent), [
+                'Europe', 'Americas'
+            ]);
+            assert.deepEqual(container.querySelectorAll('.svg-funnel-js-group__legendTitle')
+                .map(title => title.textContent), ['Ads', 'Direct', 'Social']);
+            // the funnels leave their own legends to the one of the group
+            assert.equal(container.querySelectorAll('svg').length, 2);
+
+            group.destroy();
+
+            assert.deepEqual(container.children, []);
+            assert.deepEqual(group.graphs, []);
+        });
+    });
+
+    it('toggles a series in every funnel from the legend', () => {
+        withFakeDocument(() => {
+            const container = new FakeElement('div');
+            const group = new FunnelGraph.FunnelGroup({ container, funnels });
+            group.draw();
+            const [europe, americas] = group.graphs;
+            const legendItems = container.querySelectorAll('.svg-funnel-js-group__legendItem');
+
+            dispatchFakeEvent(legendItems[1].querySelector('.svg-funnel-js-group__legendTitle'), 'click');
+
+            assert.deepEqual(group.hiddenSubLabels, ['Direct']);
+            assert.deepEqual([europe.hiddenSeries, americas.hiddenSeries], [[1], [0]]);
+            assert.ok(legendItems[1].classList.contains('svg-funnel-js-group__legendItem--hidden'));
+            assert.deepEqual(group.graphs.map(graph => graph.getMaxValue()), [100, 100]);
+
+            // Europe would be left without a visible series, so no funnel hides Ads
+            dispatchFakeEvent(legendItems[0], 'click');
+            assert.deepEqual([europe.hiddenSeries, americas.hiddenSeries], [[1], [0]]);
+            assert.ok(!legendItems[0].classList.contains('svg-funnel-js-group__legendItem--hidden'));
+
+            dispatchFakeEvent(legendItems[1], 'click');
+            assert.deepEqual([europe.hiddenSeries, americas.hiddenSeries, group.hiddenSubLabels], [[], [], []]);
+            assert.deepEqual(group.graphs.map(graph => graph.getMaxValue()), [400, 400]);
+            group.destroy();
+        });
+    });
+
+    it('highlights the hovered stage and series in every funnel', () => {
+        withFakeDocument(() => {
+            const group = new FunnelGraph.FunnelGroup({ container: new FakeElement('div'), funnels });
+            group.draw();
+            const [europe, americas] = group.graphs;
+            const highlighted = graph => getSegmentPaths(graph.getSVG())
+                .map(path => path.classList.contains('svg-funnel-js__segment--highlighted'));
+
+            americas.emit('segmentHover', { stageIndex: 1, subLabel: 'Direct' });
+
+            assert.deepEqual([highlighted(europe), highlighted(americas)], [[false, true], [true, false]]);
+            assert.deepEqual(europe.container.querySelectorAll('.svg-funnel-js__label--highlighted')
+                .map(label => label.classList.contains('label-2')), [true]);
+
+            americas.emit('segmentHover', { stageIndex: 0, subLabel: 'Social' });
+            assert.deepEqual([highlighted(europe), highlighted(americas)], [[false, false], [false, true]]);
+            assert.ok(europe.container.classList.contains('svg-funnel-js--highlighted') === false);
+
+            americas.emit('segmentLeave');
+            assert.deepEqual(highlighted(americas), [false, false]);
+            assert.equal(americas.container.querySelectorAll('.svg-funnel-js__label--highlighted').length, 0);
+            group.destroy();
+        });
+    });
+
+    it('updates the data of its funnels before and after they are drawn', () => {
+        const emails = { labels: ['A', 'B'], subLabels: ['Direct', 'Email'], values: [[500, 100], [200, 50]] };
+
+        withFakeDocument(() => {
+            const container = new FakeElement('div');
+            const group = new FunnelGraph.FunnelGroup({ container, funnels: funnels.slice() });
+
+            group.updateData([null, emails]);
+            assert.deepEqual(group.funnels[1].data, emails);
+            assert.deepEqual(group.getSubLabels(), ['Ads', 'Direct', 'Email']);
+
+            group.draw();
+            assert.deepEqual(group.graphs[1].values, emails.values);
+            assert.deepEqual(group.graphs.map(graph => graph.getMaxValue()), [600, 600]);
+
+            group.updateData([{ labels: ['A', 'B'], subLabels: ['Ads', 'Video'], values: [[900, 50], [40, 20]] }]);
+            assert.deepEqual(group.graphs[0].subLabels, ['Ads', 'Video']);
+            assert.deepEqual(group.graphs[1].values, emails.values);
+            assert.deepEqual(group.graphs.map(graph => graph.getMaxValue()), [950, 950]);
+            assert.deepEqual(container.querySelectorAll('.svg-funnel-js-group__legendTitle')
+                .map(title => title.textContent), ['Ads', 'Video', 'Direct', 'Email']);
+            assert.equal(group.graphs[0].colorMap.Video, group.getColorMap().Video);
+            group.destroy();
+        });
+    });
+});
+
+describe('Add tests for data updates', () => {
+    const data = {
+        labels: ['Impressions', 'Add To Cart', 'Buy'],
+        subLabels: ['Direct', 'Social', 'Ads'],
+        values: [[3000, 2500, 6500], [3000, 1700, 1000], [600, 200, 130]]
+    };
+
+    it('keeps the parts of the data that are left out', () => {
+        const graph = new FunnelGraph({ data });
+
+        graph.updateData({ labels: ['Views', 'Carts', 'Orders'] });
+        assert.deepEqual(graph.labels, ['Views', 'Carts', 'Orders']);
+        assert.deepEqual(graph.values, data.values);
+        assert.deepEqual(graph.subLabels, data.subLabels);
+    });
+
+    it('keeps hidden series and colors with their sub-labels', () => {
+        const graph = new FunnelGraph({ data, hiddenSeries: ['Social'] });
+        const colors = graph.colors.slice();
+
+        graph.updateData({ labels: ['Views', 'Orders'], subLabels: ['Ads', 'Social'], values: [[10, 5], [4, 2]] });
+        assert.deepEqual(graph.hiddenSeries, [1]);
+        assert.deepEqual(graph.colors, [colors[2], colors[1]]);
+    });
+
+    it('keeps at least one series visible', () => {
+        const graph = new FunnelGraph({ data, hiddenSeries: ['Direct', 'Social'] });
+
+        graph.updateData({ labels: ['Views', 'Orders'], subLabels: ['Direct', 'Social'], values: [[10, 5], [4, 2]] });
+        assert.deepEqual(graph.hiddenSeries, []);
+    });
+
+    it('checks an update together with the parts of the data that are kept', () => {
+        const graph = new FunnelGraph({ data });
+        const code = expected => error => error.code === expected;
+
+        assert.throws(() => graph.updateData({ values: [[5, 4, 3], [2, 1, 0]] }), code('LABELS_MISMATCH'));
+        assert.throws(() => graph.updateData({ labels: ['Views'] }), code('LABELS_MISMATCH'));
+        assert.throws(() => graph.updateData({ subLabels: ['Direct', 'Social'] }), code('SUB_LABELS_MISMATCH'));
+        assert.throws(() => graph.updateData({ values: [[1, 2, 3], [1, 2, 3], [1, 2, -3]] }), /"Buy" \(index 2\)/);
+        assert.deepEqual(graph.labels, data.labels);
+        assert.deepEqual(graph.values, data.values);
+
+        // in lenient mode the kept labels are fitted to the new values
+        const lenient = new FunnelGraph({ data, validation: 'lenient' });
+        lenient.updateData({ values: [[5, 4, 3], [2, 1, 0]] });
+        assert.deepEqual(lenient.labels, ['Impressions', 'Add To Cart']);
+    });
+
+    it('updates the compared funnel on its own', () => {
+        const graph = new FunnelGraph({ data: Object.assign({ compare: [4, 3, 2] }, data) });
+
+        graph.updateData({ compare: [1, 1, 1] });
+        assert.deepEqual(graph.compare.values, [1, 1, 1]);
+        assert.deepEqual(graph.values, data.values);
+
+        graph.updateData({ labels: ['Views', 'Carts', 'Orders'] });
+        assert.deepEqual(graph.compare.values, [1, 1, 1]);
+        assert.throws(() => graph.updateData({ compare: [1, 1] }), error => error.code === 'COMPARE_MISMATCH');
+        assert.deepEqual(graph.compare.values, [1, 1, 1]);
+
+        graph.updateData({ compare: null });
+        assert.strictEqual(graph.compare, null);
+    });
+
+    it('skips data that has not changed', () => {
+        const graph = new FunnelGraph({ data });
+        const { percentages } = graph;
+
+        graph.updateData({ labels: data.labels.slice(), values: data.values.map(row => row.slice()) });
+        assert.strictEqual(graph.percentages, percentages);
+
+        graph.updateData({ values: [[1, 1, 1], [1, 1, 1], [1, 1, 1]] });
+        assert.notStrictEqual(graph.percentages, percentages);
+    });
+});
+
+describe('Add tests for targets', () => {
+    const data = {
+        labels: ['Impressions', 'Add To Cart', 'Buy'],
+        values: [3000, 1500, 300],
+        targets: [4000, '50%', null]
+    };
+
+    it('can resolve targets', () => {
+        assert.deepEqual(createTargets([3000, 1500, 300], [4000, '50%', null], 'ofPrevious'), [
+            { target: 4000, targetPercentage: 75, targetStatus: 'below' },
+            { target: 1500, targetPercentage: 100, targetStatus: 'above' },
+            { target: null, targetPercentage: null, targetStatus: null }
+        ]);
+        assert.deepEqual(createTargets([200, 100], ['50%', '50%'], 'ofFirst').map(({ target }) => target), [100, 100]);
+        assert.equal(formatTarget({ target: 4000, targetPercentage: 75 }), '75% of target 4,000');
+        assert.equal(formatTarget({ target: 0, targetPercentage: null }), 'Target 0');
+    });
+
+    it('draws targets on the scale of the graph', () => {
+        const graph = new FunnelGraph({
+            data, width: 90, height: 60, percentMode: 'ofPrevious'
+        });
+        const attributes = graph.getTargetAttributes(graph.getMainAxisPoints());
+
+        assert.equal(graph.getMaxValue(), 4000);
+        assert.deepEqual(attributes.map(({ d }) => d), [
+            'M3,0 L27,0 M3,60 L27,60',
+            'M33,18.8 L57,18.8 M33,41.2 L57,41.2'
+        ]);
+        assert.deepEqual(attributes.map(attribute => attribute.class), [
+            'svg-funnel-js__target svg-funnel-js__target--below',
+            'svg-funnel-js__target svg-funnel-js__target--above'
+        ]);
+    });
+
+    it('adds targets to the metrics, labels and tooltips', () => {
+        const graph = new FunnelGraph({
+            data: Object.assign({}, data, { targets: { values: data.targets, style: 'outline' } }),
+            width: 90,
+            height: 60,
+            percentMode: 'ofPrevious'
+        });
+        const context = graph.getSegmentContext(0);
+        const svg = graph.renderToString();
+
+        assert.equal(graph.getMetrics()[1].targetStatus, 'above');
+        assert.equal(context.formatted.target, '75% of target 4,000');
+        assert.ok(createTooltipContent(context)
+            .indexOf('<div class="tooltip__target tooltip__target--below">75% of target 4,000</div>') !== -1);
+        assert.ok(svg.indexOf('d="M3,0 L27,0 L27,60 L3,60 Z" fill="none" stroke="#FF6B6B" stroke-width="2"') !== -1);
+        assert.ok(svg.indexOf('>100% of target 1,500</text>') !== -1);
+        assert.equal(describeStage(graph.getMetrics()[0], 0), 'Impressions: 3,000, 75% of target 4,000');
+    });
+
+    it('updates targets on their own', () => {
+        const graph = new FunnelGraph({ data });
+
+        graph.updateData({ targets: [1000, null, 300] });
+        assert.deepEqual(graph.getMetrics().map(({ targetStatus }) => targetStatus), ['above', null, 'above']);
+
+        graph.updateData({ values: [10, 5, 1] });
+        assert.strictEqual(graph.targets, null);
+    });
+
+    it('validates targets', () => {
+        assert.deepEqual(FunnelGraph.validate({
+            labels: ['A', 'B'], values: [2, 1], targets: [2, 'x', 3]
+        }).map(error => error.code), ['TARGETS_MISMATCH', 'INVALID_VALUE']);
+        assert.throws(() => new FunnelGraph({
+            data: { values: [2, 1], targets: { values: [2, 1], style: 'dotted' } }
+        }), /Target style must be one of/);
+    });
+
+    it('cannot be set on a mirrored funnel', () => {
+        const sides = { labels: ['Visits', 'Buys'], values: [[100, 100], [50, 50]] };
+
+        assert.throws(() => new FunnelGraph({
+            data: Object.assign({ targets: [200, 100] }, sides), layout: 'mirrored'
+        }), /cannot have targets/);
+
+        const graph = new FunnelGraph({ data: sides, layout: 'mirrored' });
+        assert.throws(() => graph.updateData({ targets: [200, 100] }), /cannot have targets/);
+        assert.strictEqual(graph.targets, null);
+        assert.equal(graph.getMetrics()[0].targetStatus, null);
+    });
+});
+
+describe('Add tests for timelines', () => {
+    const data = {
+        labels: ['Impressions', 'Add To Cart', 'Buy'],
+        targets: [null, '50%', null],
+        timeline: [
+            { date: new Date(Date.UTC(2026, 2, 1)), values: [3000, 1500, 300] },
+            { date: '2026-03-02', values: [3200, 1400, 350] },
+            { values: [3500, 2000, 400] }
+        ]
+    };
+
+    it('can step through frames', () => {
+        assert.strictEqual(getNextFrameIndex(0, 3), 1);
+        assert.strictEqual(getNextFrameIndex(2, 3), null);
+        assert.strictEqual(getNextFrameIndex(2, 3, true), 0);
+        assert.strictEqual(getFrames(undefined), null);
+        assert.throws(() => getFrames([{ date: '2026-03-01' }]), /Timeline must be a non-empty array/);
+        assert.equal(formatDate(new Date(Date.UTC(2026, 2, 1))), '2026-03-01');
+        assert.equal(createFormatters({ dateFormatter: date => `day ${date}` }).date(3), 'day 3');
+    });
+
+    it('starts at the first frame and morphs between frames', () => {
+        const graph = new FunnelGraph({ data });
+
+        assert.deepEqual(graph.values, [3000, 1500, 300]);
+        assert.deepEqual(graph.animation, { duration: 400, easing: 'easeInOutCubic' });
+        assert.strictEqual(new FunnelGraph({ data, animation: false }).animation, null);
+        assert.equal(graph.getFrameTitle(0), '2026-03-01');
+        assert.equal(graph.getFrameTitle(2), 'Frame 3');
+    });
+
+    it('goes to a frame and keeps the targets', () => {
+        const graph = new FunnelGraph({ data });
+        const frames = [];
+        graph.on('frameChange', frame => frames.push(frame));
+
+        graph.goToFrame(1);
+        assert.deepEqual(graph.values, [3200, 1400, 350]);
+        assert.equal(graph.getMetrics()[1].target, 1600);
+        assert.deepEqual(frames, [{ frameIndex: 1, date: '2026-03-02', values: [3200, 1400, 350] }]);
+        assert.throws(() => graph.goToFrame(3), /Frame must be an index between 0 and 2/);
+        assert.throws(() => new FunnelGraph({ data: [1, 2] }).goToFrame(0), /no timeline/);
+    });
+
+    it('plays the frames until the last one', (done) => {
+        const graph = new FunnelGraph({ data, playback: { interval: 5 } });
+        const frameIndexes = [];
+        graph.on('frameChange', ({ frameIndex }) => frameIndexes.push(frameIndex));
+        graph.on('pause', ({ frameIndex }) => {
+            assert.deepEqual(frameIndexes, [1, 2]);
+            assert.equal(frameIndex, 2);
+            assert.strictEqual(graph.isPlaying(), false);
+            done();
+        });
+
+        graph.play();
+        assert.strictEqual(graph.isPlaying(), true);
+    });
+
+    it('checks every frame when the timeline is set', () => {
+        const timeline = [{ values: [3, 2] }, { values: [3, -1] }];
+
+        assert.throws(
+            () => new FunnelGraph({ data: { labels: ['Visits', 'Buys'], timeline } }),
+            /Value of stage "Buys" \(index 1\) must not be negative/
+        );
+        assert.deepEqual(new FunnelGraph({ data: { timeline }, validation: 'lenient' }).timeline[1].values, [3, 0]);
+
+        const graph = new FunnelGraph({ data });
+        assert.throws(() => graph.updateData({ timeline: [{ values: [1, 1, 1] }, { values: [1, 1] }] }), /3 labels for 2/);
+        assert.strictEqual(graph.timeline.length, 3);
+    });
+
+    it('stops playing when a frameChange handler pauses it', (done) => {
+        const graph = new FunnelGraph({ data, playback: { interval: 5 } });
+        const events = [];
+        graph.on('frameChange', ({ frameIndex }) => {
+            events.push(`frame ${frameIndex}`);
+            graph.pause();
+        });
+        graph.on('pause', () => events.push('pause'));
+
+        graph.play();
+
+        setTimeout(() => {
+            assert.deepEqual(events, ['frame 1', 'pause']);
+            assert.strictEqual(graph.isPlaying(), false);
+            assert.strictEqual(graph.playTimer, null);
+            done();
+        }, 30);
+    });
+
+    it('stops the playback without a pause event when destroyed', (done) => {
+        const graph = new FunnelGraph({ data, playback: { interval: 5 } });
+        const events = [];
+        ['frameChange', 'pause', 'destroy'].forEach(event => graph.on(event, () => events.push(event)));
+
+        graph.play();
+        graph.destroy();
+        assert.strictEqual(graph.isPlaying(), false);
+
+        setTimeout(() => {
+            assert.deepEqual(events, ['destroy']);
+            done();
+        }, 20);
+    });
+
+    it('keeps the timeline and the frame when an update is invalid', () => {
+        const graph = new FunnelGraph({ data });
+        const { timeline } = graph;
+        graph.goToFrame(1);
+
+        assert.throws(() => graph.updateData({ timeline: [{ date: '2026-03-04' }] }), /Timeline must be a non-empty array/);
+        assert.throws(
+            () => graph.updateData({ values: [1, 'x', 3], timeline: data.timeline.slice(1) }),
+            error => error.code === 'INVALID_VALUE'
+        );
+        assert.strictEqual(graph.timeline, timeline);
+        assert.equal(graph.frameIndex, 1);
+        assert.deepEqual(graph.values, [3200, 1400, 350]);
+    });
+});